@@ -0,0 +1,368 @@
+import fs from "fs";
+import { Worker } from "worker_threads";
+import { config } from "./config.js";
+
+// Audio analysis of rendered WAV files: levels, loudness (ITU-R BS.1770),
+// crest factor, DC offset, silence, clipping and spectral centroid. Used to
+// store stats per render and to reject bad random renders.
+
+const SILENCE_DB = -60;      // 50 ms windows below this count as silence
+const SILENCE_WINDOW = 0.05; // seconds
+const CLIP_LEVEL = 0.9999;   // |sample| at or above this is full scale
+const CLIP_RUN = 3;          // consecutive full-scale samples that count as clipping
+const FFT_SIZE = 2048;
+const MAX_FFT_FRAMES = 256;  // spread over the file
+
+// Quality thresholds for rejecting renders; null disables a check.
+// Override with "quality" in the config file or --quality key=value.
+export const QUALITY_DEFAULTS = {
+  minPeak: -50,      // dBFS; anything quieter is treated as silent
+  maxSilence: 0.9,   // fraction of the file below -60 dBFS
+  maxClipped: 0,     // clipped samples
+  maxDcOffset: 0.02, // |mean| as a fraction of full scale
+  minCrest: null,    // dB, peak to RMS
+  minLufs: null,
+  maxLufs: null,
+  ...config.quality,
+};
+
+const toDb = x => 20 * Math.log10(x);
+
+// fmt and data chunks of a WAV; `size` is the whole file's size, since
+// `buf` may hold only its head
+function parseWavHeader(buf, file, size = buf.length) {
+  const riff = buf.toString("ascii", 0, 4);
+  if ((riff !== "RIFF" && riff !== "RF64") || buf.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error(`${file} is not a WAV file`);
+  }
+
+  let fmt = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= buf.length && !data;) {
+    const id = buf.toString("ascii", offset, offset + 4);
+    let chunkSize = buf.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === "fmt ") {
+      let format = buf.readUInt16LE(body);
+      if (format === 0xfffe) format = buf.readUInt16LE(body + 24); // WAVE_FORMAT_EXTENSIBLE
+      fmt = { format, channels: buf.readUInt16LE(body + 2), sampleRate: buf.readUInt32LE(body + 4), bits: buf.readUInt16LE(body + 14) };
+    } else if (id === "data") {
+      // RF64 and unfinished streams leave the size unset
+      if (chunkSize === 0xffffffff || body + chunkSize > size) chunkSize = size - body;
+      data = { start: body, size: chunkSize };
+    }
+    offset = body + chunkSize + (chunkSize & 1);
+  }
+  if (!fmt || !data) throw new Error(`${file}: missing fmt or data chunk`);
+  return { fmt, data, frames: Math.floor(data.size / (fmt.bits / 8 * fmt.channels)) };
+}
+
+// Format and length of a WAV from its header alone
+export function readWavInfo(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const head = Buffer.alloc(65536);
+    const bytes = fs.readSync(fd, head, 0, head.length, 0);
+    const { fmt, frames } = parseWavHeader(head.subarray(0, bytes), file, fs.fstatSync(fd).size);
+    return { ...fmt, frames, duration: frames / fmt.sampleRate };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Decode a PCM (8/16/24/32-bit) or float (32/64-bit) WAV into one
+// Float32Array per channel
+export function readWav(file) {
+  const buf = fs.readFileSync(file);
+  const { fmt, data, frames } = parseWavHeader(buf, file);
+  const { format, channels, sampleRate, bits } = fmt;
+  const bytes = bits / 8;
+  const read = format === 3
+    ? (bits === 32 ? o => buf.readFloatLE(o) : bits === 64 ? o => buf.readDoubleLE(o) : null)
+    : format === 1
+      ? (bits === 8 ? o => (buf[o] - 128) / 128
+        : bits === 16 ? o => buf.readInt16LE(o) / 32768
+          : bits === 24 ? o => buf.readIntLE(o, 3) / 8388608
+            : bits === 32 ? o => buf.readInt32LE(o) / 2147483648 : null)
+      : null;
+  if (!read) throw new Error(`${file}: unsupported WAV format ${format} / ${bits}-bit`);
+
+  const samples = Array.from({ length: channels }, () => new Float32Array(frames));
+  for (let i = 0, o = data.start; i < frames; i++) {
+    for (let c = 0; c < channels; c++, o += bytes) samples[c][i] = read(o);
+  }
+  return { sampleRate, channels, frames, samples };
+}
+
+// BS.1770 K-weighting (high shelf + high pass) as biquad coefficients for
+// any sample rate, after libebur128
+function kWeighting(rate) {
+  let K = Math.tan(Math.PI * 1681.974450955533 / rate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0],
+  };
+  K = Math.tan(Math.PI * 38.13547087602444 / rate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highpass = { b: [1, -2, 1], a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0] };
+  return [shelf, highpass];
+}
+
+function biquad(input, { b, a }) {
+  const out = new Float64Array(input.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1; x1 = x; y2 = y1; y1 = y;
+    out[i] = y;
+  }
+  return out;
+}
+
+// Integrated loudness: 400 ms blocks every 100 ms, absolute gate at -70 LUFS
+// and relative gate 10 LU below the ungated mean
+function integratedLoudness({ sampleRate, frames, samples }) {
+  const filters = kWeighting(sampleRate);
+  const weighted = samples.map(ch => filters.reduce(biquad, ch));
+  // surround channels of a 5.1 file count +1.5 dB, the LFE not at all
+  const weights = samples.map((_, c) => samples.length === 6 ? [1, 1, 1, 0, 1.41, 1.41][c] : 1);
+
+  const block = Math.min(frames, Math.round(sampleRate * 0.4));
+  const hop = Math.round(sampleRate * 0.1);
+  if (!block) return -Infinity;
+  const powers = [];
+  for (let start = 0; start + block <= frames; start += hop) {
+    let sum = 0;
+    weighted.forEach((ch, c) => {
+      let z = 0;
+      for (let i = start; i < start + block; i++) z += ch[i] * ch[i];
+      sum += weights[c] * z / block;
+    });
+    powers.push(sum);
+  }
+  const loudness = p => -0.691 + 10 * Math.log10(p);
+  const mean = list => list.reduce((s, p) => s + p, 0) / list.length;
+  const absolute = powers.filter(p => loudness(p) > -70);
+  if (!absolute.length) return -Infinity;
+  const relativeGate = loudness(mean(absolute)) - 10;
+  const gated = absolute.filter(p => loudness(p) > relativeGate);
+  return loudness(mean(gated));
+}
+
+// In-place iterative radix-2 FFT
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = -2 * Math.PI / len;
+    for (let i = 0; i < n; i += len) {
+      for (let k = 0; k < len / 2; k++) {
+        const wr = Math.cos(angle * k), wi = Math.sin(angle * k);
+        const xr = re[i + k + len / 2] * wr - im[i + k + len / 2] * wi;
+        const xi = re[i + k + len / 2] * wi + im[i + k + len / 2] * wr;
+        re[i + k + len / 2] = re[i + k] - xr;
+        im[i + k + len / 2] = im[i + k] - xi;
+        re[i + k] += xr;
+        im[i + k] += xi;
+      }
+    }
+  }
+}
+
+// Mean magnitude spectrum of the mono mix over Hann-windowed frames spread
+// across the file (bins 0..FFT_SIZE/2), or null when the file is too short
+function averageSpectrum({ frames, samples }) {
+  if (frames < FFT_SIZE) return null;
+  const count = Math.min(MAX_FFT_FRAMES, Math.floor(frames / FFT_SIZE));
+  const stride = Math.floor((frames - FFT_SIZE) / Math.max(1, count - 1)) || FFT_SIZE;
+  const spectrum = new Float64Array(FFT_SIZE / 2 + 1);
+  for (let f = 0; f < count; f++) {
+    const start = f * stride;
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+    for (let i = 0; i < FFT_SIZE; i++) {
+      let x = 0;
+      for (const ch of samples) x += ch[start + i];
+      re[i] = x / samples.length * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FFT_SIZE - 1)));
+    }
+    fft(re, im);
+    for (let k = 0; k <= FFT_SIZE / 2; k++) spectrum[k] += Math.hypot(re[k], im[k]) / count;
+  }
+  return spectrum;
+}
+
+const binHz = (k, sampleRate) => k * sampleRate / FFT_SIZE;
+
+// Magnitude-weighted mean frequency
+function spectralCentroid(audio, spectrum = averageSpectrum(audio)) {
+  if (!spectrum) return null;
+  let num = 0, den = 0;
+  for (let k = 1; k < spectrum.length; k++) {
+    num += binHz(k, audio.sampleRate) * spectrum[k];
+    den += spectrum[k];
+  }
+  return den > 0 ? num / den : null;
+}
+
+// Spectral shape: energy in log-spaced bands from 40 Hz up, in dB relative
+// to the total (so level changes don't count), floored at -80 dB
+export function spectralProfile(audio, bands = 24) {
+  const spectrum = averageSpectrum(audio);
+  if (!spectrum) return null;
+  const lo = Math.log(40);
+  const hi = Math.log(Math.min(20000, audio.sampleRate / 2));
+  const energy = new Float64Array(bands);
+  for (let k = 1; k < spectrum.length; k++) {
+    const band = Math.floor((Math.log(binHz(k, audio.sampleRate)) - lo) / (hi - lo) * bands);
+    if (band >= 0 && band < bands) energy[band] += spectrum[k] * spectrum[k];
+  }
+  const total = energy.reduce((sum, e) => sum + e, 0);
+  return [...energy].map(e => total > 0 && e > 0 ? Math.max(-80, 10 * Math.log10(e / total)) : -80);
+}
+
+// RMS difference between two spectral profiles, in dB
+export function spectralDistance(a, b) {
+  if (!a || !b) return null;
+  return Math.sqrt(a.reduce((sum, x, i) => sum + (x - b[i]) ** 2, 0) / a.length);
+}
+
+// Peak and RMS level in dBFS (-Infinity for digital silence)
+export function audioLevels({ channels, frames, samples }) {
+  let peak = 0, sumSq = 0;
+  for (const ch of samples) {
+    for (let i = 0; i < frames; i++) {
+      const abs = Math.abs(ch[i]);
+      if (abs > peak) peak = abs;
+      sumSq += ch[i] * ch[i];
+    }
+  }
+  return { peak_db: toDb(peak), rms_db: frames ? toDb(Math.sqrt(sumSq / (frames * channels))) : -Infinity };
+}
+
+export function analyzeAudio(audio) {
+  const { sampleRate, channels, frames, samples } = audio;
+  let clipped = 0, dcOffset = 0;
+  for (const ch of samples) {
+    let sum = 0, run = 0;
+    for (let i = 0; i < frames; i++) {
+      const x = ch[i];
+      const abs = Math.abs(x);
+      sum += x;
+      if (abs >= CLIP_LEVEL) {
+        run++;
+        if (run === CLIP_RUN) clipped += CLIP_RUN;
+        else if (run > CLIP_RUN) clipped++;
+      } else {
+        run = 0;
+      }
+    }
+    if (frames) dcOffset = Math.max(dcOffset, Math.abs(sum / frames));
+  }
+
+  const window = Math.max(1, Math.round(sampleRate * SILENCE_WINDOW));
+  let windows = 0, silent = 0;
+  for (let start = 0; start < frames; start += window) {
+    const end = Math.min(frames, start + window);
+    let sq = 0;
+    for (const ch of samples) for (let i = start; i < end; i++) sq += ch[i] * ch[i];
+    windows++;
+    if (toDb(Math.sqrt(sq / ((end - start) * channels))) < SILENCE_DB) silent++;
+  }
+
+  const { peak_db: peakDb, rms_db: rmsDb } = audioLevels(audio);
+  return {
+    duration_s: frames / sampleRate,
+    sample_rate: sampleRate,
+    channels,
+    peak_db: peakDb,
+    rms_db: rmsDb,
+    lufs: integratedLoudness(audio),
+    crest_db: isFinite(peakDb) && isFinite(rmsDb) ? peakDb - rmsDb : null,
+    dc_offset: dcOffset,
+    silence_ratio: windows ? silent / windows : 1,
+    clipped_samples: clipped,
+    centroid_hz: spectralCentroid(audio),
+  };
+}
+
+export const analyzeFile = file => ({ file, ...analyzeAudio(readWav(file)) });
+
+// ---------------- WORKER ----------------
+// Whole-file analyses by name, for analyzeAsync and analysis_worker.js
+export const ANALYSIS_TASKS = {
+  file: analyzeFile,
+  levels: file => audioLevels(readWav(file)),
+  profile: file => spectralProfile(readWav(file)),
+};
+
+let useWorker = false;
+
+// Run analyses on a worker thread from now on. For the server: decoding and
+// measuring a long render would otherwise stall every request meanwhile.
+export const useAnalysisWorker = (on = true) => {
+  useWorker = on;
+};
+
+// ANALYSIS_TASKS[task](file), on a worker thread after useAnalysisWorker()
+export async function analyzeAsync(task, file) {
+  if (!useWorker) return ANALYSIS_TASKS[task](file);
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./analysis_worker.js", import.meta.url), { workerData: { task, file } });
+    worker.once("message", resolve);
+    worker.once("error", reject);
+    worker.once("exit", code => reject(new Error(`Analysis of ${file} stopped (exit code ${code})`)));
+  });
+}
+
+// Failed checks as readable reasons; empty when the stats pass
+export function checkQuality(stats, thresholds = QUALITY_DEFAULTS) {
+  const t = { ...QUALITY_DEFAULTS, ...thresholds };
+  const reasons = [];
+  const peak = stats.peak_db ?? -Infinity;
+  const lufs = stats.lufs ?? -Infinity;
+  if (t.minPeak != null && peak < t.minPeak) reasons.push(`silent (peak ${fmtDb(peak)} < ${t.minPeak} dB)`);
+  if (t.maxSilence != null && stats.silence_ratio > t.maxSilence) reasons.push(`${pct(stats.silence_ratio)} silence (> ${pct(t.maxSilence)})`);
+  if (t.maxClipped != null && stats.clipped_samples > t.maxClipped) reasons.push(`${stats.clipped_samples} clipped samples`);
+  if (t.maxDcOffset != null && stats.dc_offset > t.maxDcOffset) reasons.push(`DC offset ${stats.dc_offset.toFixed(3)} (> ${t.maxDcOffset})`);
+  if (t.minCrest != null && stats.crest_db != null && stats.crest_db < t.minCrest) reasons.push(`crest factor ${stats.crest_db.toFixed(1)} dB (< ${t.minCrest})`);
+  if (t.minLufs != null && lufs < t.minLufs) reasons.push(`too quiet (${fmtDb(lufs)} LUFS < ${t.minLufs})`);
+  if (t.maxLufs != null && lufs > t.maxLufs) reasons.push(`too loud (${fmtDb(lufs)} LUFS > ${t.maxLufs})`);
+  return reasons;
+}
+
+// "maxClipped=10" -> ["maxClipped", 10]; "minCrest=off" disables a check
+export function parseQualityFlag(text) {
+  const [key, value] = text.split("=");
+  if (!(key in QUALITY_DEFAULTS)) throw new Error(`Unknown quality check "${key}" (${Object.keys(QUALITY_DEFAULTS).join(", ")})`);
+  if (value === "off") return [key, null];
+  const num = parseFloat(value);
+  if (isNaN(num)) throw new Error(`Invalid value for ${key}: ${value}`);
+  return [key, num];
+}
+
+const fmtDb = x => x == null || !isFinite(x) ? "-inf" : x.toFixed(1).replace(/^-0\.0$/, "0.0");
+const pct = x => `${Math.round(x * 100)}%`;
+
+export function formatStats(stats) {
+  return [
+    `⏱  ${stats.duration_s.toFixed(2)}s, ${stats.sample_rate} Hz, ${stats.channels} ch`,
+    `📈 peak ${fmtDb(stats.peak_db)} dBFS, RMS ${fmtDb(stats.rms_db)} dBFS, loudness ${fmtDb(stats.lufs)} LUFS`,
+    `📐 crest ${stats.crest_db == null ? "-" : `${stats.crest_db.toFixed(1)} dB`}, DC offset ${stats.dc_offset.toFixed(4)}`,
+    `🔇 silence ${pct(stats.silence_ratio)}, clipped samples ${stats.clipped_samples}`,
+    `🌈 spectral centroid ${stats.centroid_hz == null ? "-" : `${Math.round(stats.centroid_hz)} Hz`}`,
+  ];
+}
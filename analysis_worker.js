@@ -0,0 +1,7 @@
+import { parentPort, workerData } from "worker_threads";
+import { ANALYSIS_TASKS } from "./analysis.js";
+
+// One analysis off the main thread (see analyzeAsync): posts the result of
+// ANALYSIS_TASKS[task](file) and exits
+const { task, file } = workerData;
+parentPort.postMessage(ANALYSIS_TASKS[task](file));
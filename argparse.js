@@ -0,0 +1,180 @@
+// Command-line parsing for cli.js. A command is a spec:
+//
+//   {
+//     name: "trim",
+//     summary: "Trim silence from audio files and join them",
+//     args: [{ name: "files", multiple: true, required: true, description }],
+//     options: {
+//       output: { type: "string", short: "o", value: "file", default: "final.wav", description },
+//       gap: { type: "string", value: "len", parse: parseGap, description },
+//       "keep-trimmed": { type: "boolean", description },
+//     },
+//   }
+//
+// parseCommand(spec, argv) returns { options, args } with options keyed by
+// camelCase name, or throws an error with `usage` set (exit code 2). String
+// values may start with a dash when they are numbers (--gain -3); anything
+// else dash-led needs --name=value. `parse` converts a value and throws on
+// bad input; `multiple` collects repeated options into an array.
+
+export const usageError = message => Object.assign(new Error(message), { usage: true });
+
+const camel = name => name.replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+
+// Edit distance, for "did you mean" hints
+function distance(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
+export function closest(word, candidates) {
+  const best = candidates
+    .map(c => ({ c, d: c.startsWith(word) ? 0 : distance(word, c) }))
+    .sort((x, y) => x.d - y.d)[0];
+  return best && best.d <= Math.max(2, Math.floor(word.length / 3)) ? best.c : null;
+}
+
+const looksLikeValue = token => !token.startsWith("-") || /^-\d|^-\.\d|^-inf$/i.test(token);
+
+export function parseCommand(spec, argv) {
+  const defs = spec.options || {};
+  const shorts = Object.fromEntries(Object.entries(defs).filter(([, d]) => d.short).map(([name, d]) => [d.short, name]));
+  const options = {};
+  const positional = [];
+
+  const set = (name, raw) => {
+    const def = defs[name];
+    let value = raw;
+    if (def.parse) {
+      try {
+        value = def.parse(raw);
+      } catch (err) {
+        throw usageError(`--${name}: ${err.message}`);
+      }
+    }
+    const key = camel(name);
+    if (def.multiple) (options[key] ||= []).push(value);
+    else options[key] = value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    if (token === "--") {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!token.startsWith("-") || token === "-" || /^-\d/.test(token)) {
+      positional.push(token);
+      continue;
+    }
+
+    let [name, inline] = token.startsWith("--") ? token.slice(2).split(/=(.*)/s) : [shorts[token.slice(1)] ?? token.slice(1)];
+    if (!token.startsWith("--") && !shorts[token.slice(1)]) throw usageError(`Unknown option ${token}`);
+    if (!defs[name]) {
+      const hint = closest(name, Object.keys(defs));
+      throw usageError(`Unknown option --${name}${hint ? ` (did you mean --${hint}?)` : ""}`);
+    }
+
+    if (defs[name].type === "boolean") {
+      if (inline !== undefined) throw usageError(`--${name} takes no value`);
+      options[camel(name)] = true;
+      continue;
+    }
+    if (inline === undefined) {
+      if (i + 1 >= argv.length || !looksLikeValue(argv[i + 1])) {
+        throw usageError(`--${name} needs a value${defs[name].value ? ` (<${defs[name].value}>)` : ""}`);
+      }
+      inline = argv[++i];
+    }
+    set(name, inline);
+  }
+
+  for (const [name, def] of Object.entries(defs)) {
+    const key = camel(name);
+    if (options[key] === undefined && def.default !== undefined) options[key] = def.default;
+    if (options[key] === undefined && def.multiple) options[key] = [];
+  }
+
+  const args = {};
+  const specs = spec.args || [];
+  for (const arg of specs) {
+    if (arg.multiple) {
+      args[camel(arg.name)] = positional.splice(0);
+      if (arg.required && !args[camel(arg.name)].length) throw usageError(`Missing <${arg.name}>`);
+    } else {
+      args[camel(arg.name)] = positional.shift();
+      if (arg.required && args[camel(arg.name)] === undefined) throw usageError(`Missing <${arg.name}>`);
+    }
+  }
+  if (positional.length) throw usageError(`Unexpected argument ${positional[0]}`);
+  return { options, args };
+}
+
+const argUsage = arg => {
+  const text = `<${arg.name}>${arg.multiple ? "..." : ""}`;
+  return arg.required ? text : `[${text}]`;
+};
+
+// Wrap text to `width` columns, indenting continuation lines
+function wrap(text, width, indent) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/)) {
+    if (line && line.length + word.length + 1 > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join(`\n${" ".repeat(indent)}`);
+}
+
+function table(rows) {
+  const width = Math.min(30, Math.max(...rows.map(([left]) => left.length)) + 2);
+  return rows.map(([left, right]) => {
+    const pad = left.length + 2 > width ? `\n${" ".repeat(width + 2)}` : " ".repeat(width - left.length);
+    return `  ${left}${pad}${wrap(right, 78 - width, width + 2)}`;
+  }).join("\n");
+}
+
+// Help for one command of `program`
+export function formatHelp(program, spec) {
+  const defs = Object.entries(spec.options || {});
+  const args = spec.args || [];
+  const lines = [
+    `Usage: ${program} ${spec.name}${defs.length ? " [options]" : ""}${args.map(a => ` ${argUsage(a)}`).join("")}`,
+    "",
+    wrap(spec.description || spec.summary, 78, 0),
+  ];
+  const described = args.filter(a => a.description);
+  if (described.length) lines.push("", "Arguments:", table(described.map(a => [argUsage(a), a.description])));
+  if (defs.length) {
+    lines.push("", "Options:", table(defs.map(([name, d]) => [
+      `${d.short ? `-${d.short}, ` : ""}--${name}${d.type === "boolean" ? "" : ` <${d.value || "value"}>`}`,
+      `${d.description || ""}${d.multiple ? " (repeatable)" : ""}${d.default !== undefined && d.type !== "boolean" ? ` (default: ${d.default})` : ""}`,
+    ])));
+  }
+  if (spec.examples?.length) lines.push("", "Examples:", ...spec.examples.map(e => `  ${program} ${e}`));
+  return lines.join("\n");
+}
+
+// Help listing every command
+export function formatCommandList(program, specs, { summary, footer } = {}) {
+  return [
+    `Usage: ${program} <command> [options]`,
+    ...(summary ? ["", summary] : []),
+    "",
+    "Commands:",
+    table(specs.map(s => [s.name, s.summary])),
+    ...(footer ? ["", footer] : []),
+  ].join("\n");
+}
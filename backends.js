@@ -0,0 +1,221 @@
+import { execa } from "execa";
+import crypto from "crypto";
+import { config } from "./config.js";
+import { parseParameter, parseQuantity, validateValue } from "./params.js";
+
+// Processing backends: what runs a plugin step. A backend turns a step into
+// a command ({ binary, args }) that runChain (runner.js) executes and records.
+//
+//   plugalyzer  `Plugalyzer process`, with the configured binary and flags
+//   dry-run     prints that command instead and copies the audio through;
+//               sox effect steps too, so dry runs need neither
+//   sox         built-in sox effects, catalogued as pseudo-plugins (path
+//               "sox:<effect>", format "sox"); their steps always run here
+//               (bar dry runs), so pipelines can mix them with VST3/AU steps
+//               and run where no plugins are installed
+//
+// Config: "backend" (plugalyzer or dry-run), "plugalyzerPath" (the binary)
+// and "plugalyzerFlags" (extra arguments for every process call). The CLI's
+// --backend, --dry-run and --plugalyzer flags override them.
+
+export const BACKENDS = ["plugalyzer", "dry-run"];
+
+export const BACKEND_DEFAULTS = {
+  backend: config.backend || "plugalyzer",
+  binary: config.plugalyzerPath || "Plugalyzer",
+  flags: config.plugalyzerFlags || [],
+};
+
+let current = { ...BACKEND_DEFAULTS };
+
+// Switch the backend for later runs; settings left out keep their value
+export function useBackend({ backend, binary, flags } = {}) {
+  if (backend != null && !BACKENDS.includes(backend)) {
+    throw new Error(`Unknown backend "${backend}" (${BACKENDS.join(", ")})`);
+  }
+  current = { backend: backend ?? current.backend, binary: binary ?? current.binary, flags: flags ?? current.flags };
+}
+
+// Pull "--backend <name>", "--dry-run" and "--plugalyzer <binary>" out of
+// argv (see takeDbFlag), returning the remaining args
+export function takeBackendFlags(args) {
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inline] = args[i].split(/=(.*)/s);
+    if (args[i] === "--dry-run") useBackend({ backend: "dry-run" });
+    else if (flag === "--backend" && (inline ?? args[i + 1])) useBackend({ backend: inline ?? args[++i] });
+    else if (flag === "--plugalyzer" && (inline ?? args[i + 1])) useBackend({ binary: inline ?? args[++i] });
+    else rest.push(args[i]);
+  }
+  return rest;
+}
+
+// Backend for catalog plugins: { name, command(step, { input, output,
+// overwrite }), identity, dryRun }. identity goes into step cache keys, so
+// dry runs and differently-flagged runs never share cached outputs.
+export function createBackend({ backend = current.backend, binary = current.binary, flags = current.flags } = {}) {
+  if (!BACKENDS.includes(backend)) throw new Error(`Unknown backend "${backend}" (${BACKENDS.join(", ")})`);
+  const command = (step, { input, output, overwrite = true }) => ({
+    binary,
+    args: [
+      "process",
+      `--plugin=${step.path}`,
+      `--input=${input}`,
+      `--output=${output}`,
+      ...(overwrite ? ["--overwrite"] : []),
+      ...(step.params || []).map(p => `--param=${p}`),
+      ...flags,
+    ],
+  });
+  if (backend === "dry-run") return { name: backend, command, identity: { backend }, dryRun: true };
+  return { name: backend, command, identity: flags.length ? { flags } : {} };
+}
+
+// `Plugalyzer listParameters` output for a plugin (sox effects list their
+// own parameters the same way). Throws the execa error on failure.
+export async function parameterListing(pluginPath, { timeout } = {}) {
+  if (isSoxPlugin(pluginPath)) return soxParameterListing(pluginPath);
+  const { stdout } = await execa(current.binary, ["listParameters", `--plugin=${pluginPath}`], timeout ? { timeout: timeout * 1000 } : {});
+  return stdout;
+}
+
+// ---------------- SOX EFFECTS ----------------
+const num = x => String(+x.toFixed(6));
+
+// Parameters are [name, values, default] in Plugalyzer's listing format, so
+// the catalog models them like any plugin's (params.js); effects() gets the
+// values by name (numbers in the listed unit, option labels) and returns
+// the sox effect arguments
+const SOX_EFFECTS = {
+  eq: {
+    params: [
+      ["Low Gain", "-24.0 dB to 24.0 dB", "0.0 dB"],
+      ["Low Freq", "20 Hz to 1000 Hz", "100 Hz"],
+      ["Mid Gain", "-24.0 dB to 24.0 dB", "0.0 dB"],
+      ["Mid Freq", "100 Hz to 10000 Hz", "1000 Hz"],
+      ["Mid Q", "0.1 to 10.0", "0.7"],
+      ["High Gain", "-24.0 dB to 24.0 dB", "0.0 dB"],
+      ["High Freq", "1000 Hz to 16000 Hz", "8000 Hz"],
+    ],
+    effects: v => [
+      "bass", num(v["Low Gain"]), num(v["Low Freq"]),
+      "equalizer", num(v["Mid Freq"]), `${num(v["Mid Q"])}q`, num(v["Mid Gain"]),
+      "treble", num(v["High Gain"]), num(v["High Freq"]),
+    ],
+  },
+  reverb: {
+    params: [
+      ["Reverberance", "0% to 100%", "50%"],
+      ["HF Damping", "0% to 100%", "50%"],
+      ["Room Scale", "0% to 100%", "100%"],
+      ["Stereo Depth", "0% to 100%", "100%"],
+      ["Pre Delay", "0 ms to 500 ms", "0 ms"],
+      ["Wet Gain", "-10.0 dB to 10.0 dB", "0.0 dB"],
+      ["Wet Only", "Off, On", "Off"],
+    ],
+    effects: v => [
+      "reverb", ...(v["Wet Only"] === "On" ? ["-w"] : []),
+      num(v.Reverberance), num(v["HF Damping"]), num(v["Room Scale"]), num(v["Stereo Depth"]),
+      num(v["Pre Delay"]), num(v["Wet Gain"]),
+    ],
+  },
+  pitch: {
+    params: [
+      ["Semitones", "-24 to 24", "0"],
+      ["Fine", "-100 cents to 100 cents", "0 cents"],
+    ],
+    effects: v => ["pitch", num(v.Semitones * 100 + v.Fine)],
+  },
+  tempo: {
+    params: [
+      ["Factor", "0.5 to 2.0", "1.0"],
+      ["Mode", "Auto, Music, Speech, Linear", "Auto"],
+    ],
+    effects: v => ["tempo", ...({ Music: ["-m"], Speech: ["-s"], Linear: ["-l"] }[v.Mode] || []), num(v.Factor)],
+  },
+  compand: {
+    params: [
+      ["Threshold", "-60.0 dB to -1.0 dB", "-20.0 dB"],
+      ["Ratio", "1.0 to 20.0", "4.0"],
+      ["Knee", "0.0 dB to 20.0 dB", "6.0 dB"],
+      ["Attack", "0.1 ms to 500 ms", "10 ms"],
+      ["Release", "5 ms to 2000 ms", "100 ms"],
+      ["Makeup", "-20.0 dB to 20.0 dB", "0.0 dB"],
+    ],
+    // a compressor: 1:1 up to the threshold, 1:ratio above it
+    effects: v => [
+      "compand", `${num(v.Attack / 1000)},${num(v.Release / 1000)}`,
+      `${num(v.Knee)}:-90,-90,${num(v.Threshold)},${num(v.Threshold)},0,${num(v.Threshold * (1 - 1 / v.Ratio))}`,
+      num(v.Makeup), "-90", "0",
+    ],
+  },
+};
+
+export const isSoxPlugin = pluginPath => /^sox:/.test(pluginPath || "");
+
+function soxEffect(pluginPath) {
+  const name = pluginPath.slice("sox:".length);
+  const effect = Object.hasOwn(SOX_EFFECTS, name) && SOX_EFFECTS[name];
+  if (!effect) throw new Error(`Unknown sox effect "${name}" (${Object.keys(SOX_EFFECTS).join(", ")})`);
+  return { name, ...effect };
+}
+
+// The sox effects as discovered plugins, for seeding (see discovery.js)
+export const soxPlugins = () =>
+  Object.keys(SOX_EFFECTS).map(name => ({ path: `sox:${name}`, name: `sox ${name}`, root: "sox" }));
+
+// Catalog metadata (see inspectBundle); the fingerprint changes with the
+// effect's definition, which reseeds it and invalidates cached outputs
+export function soxPluginInfo(pluginPath) {
+  const { name, params, effects } = soxEffect(pluginPath);
+  const fingerprint = crypto.createHash("sha1").update(JSON.stringify({ name, params, effects: effects.toString() })).digest("hex");
+  return { vendor: "SoX", version: null, format: "sox", fingerprint };
+}
+
+// An effect's parameters as catalog rows (see db.js), before parsing
+export const soxParameters = pluginPath =>
+  soxEffect(pluginPath).params.map(([name, values, fallback], i) =>
+    ({ param_index: i, name, values, default_value: fallback, supports_text: true }));
+
+function soxParameterListing(pluginPath) {
+  return soxParameters(pluginPath).map(p =>
+    `${p.param_index}: ${p.name}\n  Values: ${p.values}\n  Default: ${p.default_value}\n  Supports text values: true`).join("\n");
+}
+
+// A step's "Name:value" params, validated against the effect's; the rest
+// at their defaults
+function soxValues(effect, params = []) {
+  const given = new Map();
+  for (const kv of params) {
+    const sep = kv.indexOf(":");
+    given.set(kv.slice(0, sep).trim().toLowerCase(), { name: kv.slice(0, sep).trim(), value: kv.slice(sep + 1) });
+  }
+  const values = {};
+  for (const [name, range, fallback] of effect.params) {
+    const model = parseParameter({ values: range, default_value: fallback });
+    const raw = given.get(name.toLowerCase())?.value ?? fallback;
+    given.delete(name.toLowerCase());
+    const result = validateValue(model, raw);
+    if (!result.ok) throw new Error(`${name}: ${result.error}`);
+    values[name] = model.kind === "continuous" ? parseQuantity(result.value).value : result.value;
+  }
+  const [unknown] = given.values();
+  if (unknown) throw new Error(`unknown parameter "${unknown.name}" for sox ${effect.name}`);
+  return values;
+}
+
+export const SOX_BACKEND = {
+  name: "sox",
+  command: (step, { input, output }) => {
+    const effect = soxEffect(step.path);
+    return { binary: "sox", args: [input, output, ...effect.effects(soxValues(effect, step.params))] };
+  },
+  identity: {},
+};
+
+// The backend that runs a plugin step: sox effects go to sox, or on a dry
+// run print their sox command like any other step
+export const backendFor = (step, backend) => {
+  if (!isSoxPlugin(step.path)) return backend;
+  return backend.dryRun ? { ...SOX_BACKEND, identity: backend.identity, dryRun: true } : SOX_BACKEND;
+};
@@ -0,0 +1,128 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { globSync } from "glob";
+import { config } from "./config.js";
+import { pluginSteps } from "./graph.js";
+import { stripExtension } from "./index.js";
+import { runPool } from "./pool.js";
+import { runChain } from "./runner.js";
+
+// Batch mode: run one pipeline over many input files, a few Plugalyzer
+// processes at a time. A failing file is reported and the rest carry on.
+
+export const BATCH_DEFAULTS = {
+  concurrency: config.batchConcurrency || Math.min(4, os.cpus().length),
+  template: config.batchTemplate || "{dir}/{stem}_{pipeline}_{n}.wav",
+};
+
+// Output template fields:
+//   {dir}       directory of the input file
+//   {stem}      input file name without extension
+//   {ext}       input extension, without the dot
+//   {pipeline}  plugin names of the chain (branches included) joined with "+"
+//   {n}         1-based position of the file in the batch
+export const TEMPLATE_FIELDS = ["dir", "stem", "ext", "pipeline", "n"];
+
+// Globs (or plain paths) -> sorted, de-duplicated absolute paths
+export function expandInputs(patterns) {
+  const files = patterns.flatMap(pat => globSync(pat, { nodir: true }));
+  return [...new Set(files.map(f => path.resolve(f)))].sort();
+}
+
+export const pipelineSlug = steps =>
+  pluginSteps(steps).map(s => stripExtension(s.name).replace(/[^\w.-]+/g, "_")).join("+") || "pipeline";
+
+export function checkTemplate(template) {
+  const unknown = [...template.matchAll(/\{(\w+)\}/g)].map(m => m[1]).filter(f => !TEMPLATE_FIELDS.includes(f));
+  if (unknown.length) throw new Error(`Unknown output template field(s): ${unknown.map(f => `{${f}}`).join(", ")}`);
+}
+
+export function formatOutput(template, { input, steps, n, total = n }) {
+  const ext = path.extname(input);
+  const fields = {
+    dir: path.dirname(input),
+    stem: path.basename(input, ext),
+    ext: ext.slice(1),
+    pipeline: pipelineSlug(steps),
+    n: String(n).padStart(String(total).length, "0"),
+  };
+  return path.resolve(template.replace(/\{(\w+)\}/g, (m, field) => fields[field] ?? m));
+}
+
+// Run `steps` over every input. Options:
+//   template     output name template (see TEMPLATE_FIELDS)
+//   concurrency  files processed in parallel
+//   overwrite    replace existing outputs instead of failing those files
+//   recurse, seed, source, normalize, limit
+//                passed on to runChain (one render per file)
+//   onProgress({ done, total, input, output, ok, error, duration_ms })
+// Returns { results: [{ input, output, ok, error, render }], ok, failed, duration_ms }.
+export async function runBatch({
+  steps,
+  inputs,
+  template = BATCH_DEFAULTS.template,
+  concurrency = BATCH_DEFAULTS.concurrency,
+  overwrite = false,
+  recurse = 1,
+  seed = null,
+  source = "batch",
+  normalize = null,
+  limit,
+  onProgress = () => {},
+}) {
+  checkTemplate(template);
+  const started = Date.now();
+  const jobs = inputs.map((input, i) => ({
+    input,
+    output: formatOutput(template, { input, steps, n: i + 1, total: inputs.length }),
+  }));
+
+  // two inputs writing the same file would silently clobber each other
+  const claimed = new Map();
+  for (const job of jobs) {
+    if (claimed.has(job.output)) {
+      throw new Error(`${path.basename(claimed.get(job.output))} and ${path.basename(job.input)} both map to ${job.output}; add {n} or {stem} to the template`);
+    }
+    claimed.set(job.output, job.input);
+  }
+
+  let done = 0;
+  const results = await runPool(jobs, concurrency, async ({ input, output }) => {
+    const t0 = Date.now();
+    let result;
+    if (!overwrite && fs.existsSync(output)) {
+      result = { input, output, ok: false, error: "output exists (use --overwrite)", render: null };
+    } else if (output === input) {
+      result = { input, output, ok: false, error: "output would replace the input", render: null };
+    } else {
+      try {
+        fs.mkdirSync(path.dirname(output), { recursive: true });
+        const run = await runChain({
+          steps, input, output, recurse, seed, source, normalize, limit,
+          overwrite: true,
+          stdio: "pipe",
+          log: () => {},
+        });
+        result = { input, output, ok: run.ok, error: run.manifest.error, render: run.manifest.id };
+      } catch (err) {
+        result = { input, output, ok: false, error: err.message, render: null };
+      }
+    }
+    onProgress({ ...result, done: ++done, total: jobs.length, duration_ms: Date.now() - t0 });
+    return result;
+  });
+
+  const flat = results.map((r, i) => r.value || { ...jobs[i], ok: false, error: r.error.message, render: null });
+  const ok = flat.filter(r => r.ok).length;
+  return { results: flat, ok, failed: flat.length - ok, duration_ms: Date.now() - started };
+}
+
+// Console progress line for runBatch's onProgress
+export const printProgress = ({ done, total, input, output, ok, error, duration_ms }) =>
+  console.log(`${ok ? "✅" : "❌"} [${done}/${total}] ${path.basename(input)} -> ${ok ? path.basename(output) : error.split("\n")[0]} (${(duration_ms / 1000).toFixed(1)}s)`);
+
+export function printSummary({ results, ok, failed, duration_ms }) {
+  console.log(`🎉 Batch finished: ${ok} ok, ${failed} failed of ${results.length} (${(duration_ms / 1000).toFixed(1)}s)`);
+  for (const r of results.filter(r => !r.ok)) console.log(`   ❌ ${r.input}: ${r.error.split("\n")[0]}`);
+}
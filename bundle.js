@@ -0,0 +1,135 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// Inspect a .vst3 / .component bundle: its format, vendor/version metadata and
+// a fingerprint of the files that actually change when a vendor ships an
+// update (the bundle directory's own mtime usually doesn't).
+
+export const pluginFormat = bundlePath =>
+  bundlePath.endsWith(".component") ? "AU" : bundlePath.endsWith(".vst3") ? "VST3" : null;
+
+// Binary folders: MacOS (mac), <arch>-linux, <arch>-win
+const isBinaryDir = name => name === "MacOS" || /-(linux|win)$/.test(name);
+
+function walk(dir, rel = "") {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(dir, rel), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    const relPath = path.join(rel, entry.name);
+    if (entry.isDirectory()) files.push(...walk(dir, relPath));
+    else files.push(relPath);
+  }
+  return files;
+}
+
+// Files that go into the fingerprint: everything under the binary folders
+// plus the metadata files themselves.
+function fingerprintFiles(bundlePath) {
+  const contents = path.join(bundlePath, "Contents");
+  let entries;
+  try {
+    entries = fs.readdirSync(contents, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    if (entry.isDirectory() && isBinaryDir(entry.name)) {
+      files.push(...walk(contents, entry.name));
+    } else if (entry.name === "Info.plist") {
+      files.push(entry.name);
+    }
+  }
+  if (fs.existsSync(path.join(contents, "Resources", "moduleinfo.json"))) {
+    files.push(path.join("Resources", "moduleinfo.json"));
+  }
+  return files.sort().map(f => path.join(contents, f));
+}
+
+export function fingerprintBundle(bundlePath) {
+  const hash = crypto.createHash("sha1");
+  let files = fingerprintFiles(bundlePath);
+  // Unusual layout: fall back to the bundle itself so we still notice changes
+  if (!files.length) files = [bundlePath];
+  for (const file of files) {
+    try {
+      const stats = fs.statSync(file);
+      hash.update(`${path.relative(bundlePath, file)}\0${stats.size}\0${Math.floor(stats.mtimeMs)}\n`);
+    } catch {
+      hash.update(`${path.relative(bundlePath, file)}\0missing\n`);
+    }
+  }
+  return hash.digest("hex");
+}
+
+// Minimal XML plist reader: every <key>/<string> pair, first one wins. That
+// covers the top-level keys and the first AudioComponents entry, where AU
+// bundles keep "Vendor: Name" and the manufacturer code.
+function readPlist(file) {
+  let xml;
+  try {
+    xml = fs.readFileSync(file, "utf-8");
+  } catch {
+    return null;
+  }
+  if (xml.startsWith("bplist")) return null; // binary plists aren't worth a parser here
+  const decode = s => s.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+  const result = {};
+  for (const m of xml.matchAll(/<key>([^<]*)<\/key>\s*<string>([^<]*)<\/string>/g)) {
+    if (!(m[1] in result)) result[m[1]] = decode(m[2]);
+  }
+  return result;
+}
+
+// moduleinfo.json is JSON5-flavoured in practice (trailing commas, comments)
+function readModuleInfo(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf-8");
+  } catch {
+    return null;
+  }
+  try {
+    return JSON.parse(
+      text
+        .replace(/^\s*\/\/.*$/gm, "")
+        .replace(/,(\s*[}\]])/g, "$1")
+    );
+  } catch {
+    return null;
+  }
+}
+
+export function bundleMetadata(bundlePath) {
+  const meta = { format: pluginFormat(bundlePath), vendor: null, version: null };
+
+  const moduleInfo = readModuleInfo(path.join(bundlePath, "Contents", "Resources", "moduleinfo.json"));
+  if (moduleInfo) {
+    meta.vendor = moduleInfo["Factory Info"]?.Vendor || moduleInfo.Classes?.[0]?.Vendor || null;
+    meta.version = moduleInfo.Version || moduleInfo.Classes?.[0]?.Version || null;
+  }
+
+  const plist = readPlist(path.join(bundlePath, "Contents", "Info.plist"));
+  if (plist) {
+    meta.version ||= plist.CFBundleShortVersionString || plist.CFBundleVersion || null;
+    // AU component names are "Vendor: Plugin"
+    if (!meta.vendor && plist.name?.includes(":")) meta.vendor = plist.name.split(":")[0].trim();
+    if (!meta.vendor && plist.manufacturer) meta.vendor = plist.manufacturer;
+    if (!meta.vendor && plist.CFBundleIdentifier) {
+      // com.vendor.plugin -> vendor
+      meta.vendor = plist.CFBundleIdentifier.split(".")[1] || null;
+    }
+  }
+
+  return meta;
+}
+
+export function inspectBundle(bundlePath) {
+  return { ...bundleMetadata(bundlePath), fingerprint: fingerprintBundle(bundlePath) };
+}
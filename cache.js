@@ -0,0 +1,133 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { config } from "./config.js";
+import { getDb } from "./db.js";
+
+// Step output cache. Every step output is stored in the work directory
+// under a key that chains the key of its input with the step's identity
+// (plugin, version, fingerprint, resolved params, staging; see runner.js),
+// starting from a hash of the input audio. Re-running a pipeline whose
+// first steps are unchanged finds their outputs and skips them. The index
+// lives in the step_cache table; the least recently used entries are
+// evicted once the cache grows past its size limit.
+
+// Bump when the meaning of a cached output changes
+const CACHE_VERSION = 1;
+
+// "500MB", "2 GB", "1048576" -> bytes
+export function parseSize(text) {
+  const m = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/i);
+  if (!m) throw new Error(`Invalid size: ${text} (e.g. 500MB, 2GB)`);
+  const units = { b: 0, kb: 1, mb: 2, gb: 3, tb: 4 };
+  return Math.round(parseFloat(m[1]) * 1024 ** units[(m[2] || "b").toLowerCase()]);
+}
+
+export function formatSize(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let i = 0;
+  while (bytes >= 1024 && i < units.length - 1) {
+    bytes /= 1024;
+    i++;
+  }
+  return `${i ? bytes.toFixed(1) : bytes} ${units[i]}`;
+}
+
+// Work directory ("workDir" in the config file) and cache size limit
+// ("cacheMaxSize", e.g. "2GB")
+export const CACHE_DEFAULTS = {
+  workDir: config.workDir || "plugalyzer-work",
+  maxBytes: parseSize(config.cacheMaxSize ?? "2GB"),
+};
+
+// Key for a step's output from its input's key and the step's identity
+export const cacheKey = (inputKey, identity) =>
+  crypto.createHash("sha256").update(`${CACHE_VERSION}\n${inputKey}\n${JSON.stringify(identity)}`).digest("hex");
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// Key sets of the runs under way in this process (see hold); eviction skips
+// their keys whichever run triggers it, so concurrent runs (a batch with
+// several jobs, the server's queue) don't lose entries they are about to copy
+const holds = new Set();
+const held = key => [...holds].some(keys => keys.has(key));
+
+export function createStepCache({ workDir = CACHE_DEFAULTS.workDir, maxBytes = CACHE_DEFAULTS.maxBytes } = {}) {
+  const dir = path.resolve(workDir, "cache");
+  const db = getDb();
+
+  const remove = row => {
+    fs.rmSync(row.file, { force: true });
+    db.prepare(`DELETE FROM step_cache WHERE key = ?`).run(row.key);
+  };
+
+  return {
+    dir,
+    maxBytes,
+
+    // Where the output for `key` goes
+    pathFor(key) {
+      fs.mkdirSync(dir, { recursive: true });
+      return path.join(dir, `${key}.wav`);
+    },
+
+    // The cached file for `key`, or null; entries whose file is gone are dropped
+    lookup(key) {
+      const row = db.prepare(`SELECT * FROM step_cache WHERE key = ?`).get(key);
+      if (!row) return null;
+      if (!fs.existsSync(row.file)) {
+        remove(row);
+        return null;
+      }
+      db.prepare(`UPDATE step_cache SET hits = hits + 1, last_used = ? WHERE key = ?`).run(now(), key);
+      return row.file;
+    },
+
+    store(key, file) {
+      const t = now();
+      db.prepare(`
+        INSERT OR REPLACE INTO step_cache (key, file, size, created_at, last_used, hits)
+        VALUES (?, ?, ?, ?, ?, 0)
+      `).run(key, path.resolve(file), fs.statSync(file).size, t, t);
+    },
+
+    stats() {
+      const row = db.prepare(`SELECT COUNT(*) AS entries, COALESCE(SUM(size), 0) AS bytes, COALESCE(SUM(hits), 0) AS hits FROM step_cache`).get();
+      return { ...row, maxBytes, dir };
+    },
+
+    // Protect a run's keys from eviction until the returned release() is
+    // called; `keys` is the run's own set, so keys added later count too
+    hold(keys) {
+      holds.add(keys);
+      return () => holds.delete(keys);
+    },
+
+    // Drop least recently used entries, except held ones, until the cache
+    // fits. Returns { entries, bytes } removed.
+    evict() {
+      let { bytes } = this.stats();
+      const removed = { entries: 0, bytes: 0 };
+      if (bytes <= maxBytes) return removed;
+      for (const row of db.prepare(`SELECT * FROM step_cache ORDER BY last_used, created_at`).all()) {
+        if (bytes <= maxBytes) break;
+        if (held(row.key)) continue;
+        remove(row);
+        bytes -= row.size;
+        removed.entries++;
+        removed.bytes += row.size;
+      }
+      return removed;
+    },
+
+    // Remove every entry and any stray files in the cache directory
+    clear() {
+      const { entries, bytes } = this.stats();
+      for (const row of db.prepare(`SELECT key, file FROM step_cache`).all()) remove(row);
+      if (fs.existsSync(dir)) {
+        for (const name of fs.readdirSync(dir)) fs.rmSync(path.join(dir, name), { force: true, recursive: true });
+      }
+      return { entries, bytes };
+    },
+  };
+}
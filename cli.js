@@ -0,0 +1,783 @@
+#!/usr/bin/env node
+import readline from "readline";
+import fs from "fs";
+import path from "path";
+import { getDb, takeDbFlag } from "./db.js";
+import { BACKENDS, takeBackendFlags } from "./backends.js";
+import { describeParameter } from "./params.js";
+import { getParameters, getRandomPlugin, listPlugins, resolveParam, resolvePluginRef } from "./index.js";
+import { getPreset, listPresets, presetParams } from "./presets.js";
+import { DEFAULT_EXCLUDE, createRng, newSeed, randomizeParams } from "./randomize.js";
+import { rerender } from "./runner.js";
+import { Pipeline } from "./pipeline.js";
+import { loadPipelineFile, resolvePipelineFile } from "./pipeline_file.js";
+import { createStepCache } from "./cache.js";
+import { JOB_DEFAULTS, JobQueue } from "./jobs.js";
+import { SERVER_DEFAULTS, createServer } from "./server.js";
+import { loadRender, rejectRender } from "./renders.js";
+import { QUALITY_DEFAULTS, checkQuality, parseQualityFlag } from "./analysis.js";
+import { VARIATION_DEFAULTS, runVariations } from "./variations.js";
+import { NORMALIZE_TARGETS, parseCeiling, parseNormalize } from "./levels.js";
+import { BATCH_DEFAULTS, expandInputs, printProgress, printSummary, runBatch } from "./batch.js";
+import { SEED_DEFAULTS, listFailures, retryFailed, seed, unquarantine } from "./seed.js";
+import {
+  JOIN_DEFAULTS, JOIN_ORDERS, SLICE_DEFAULTS, TRIM_DEFAULTS,
+  parseGap, parseThreshold, sliceFile, trimAndJoin, trimFiles,
+} from "./truncate_silence.js";
+import { closest, formatCommandList, formatHelp, parseCommand, usageError } from "./argparse.js";
+
+// One entry point for everything: plugalyzer <command> [options]. Each
+// command is a spec (see argparse.js) plus a handler that gets the parsed
+// { options, args } and returns an exit code: 0 done, 1 failed, 2 bad usage
+// (usage errors are thrown), 130 cancelled.
+
+const PROGRAM = "plugalyzer";
+
+// ---------------- VALUE PARSERS ----------------
+const integer = (min = 1) => text => {
+  const n = Number(text);
+  if (!Number.isInteger(n) || n < min) throw new Error(`expected a whole number of at least ${min}, got "${text}"`);
+  return n;
+};
+
+const positive = text => {
+  const n = Number(text);
+  if (!Number.isFinite(n) || n <= 0) throw new Error(`expected a positive number, got "${text}"`);
+  return n;
+};
+
+const seconds = text => {
+  const n = Number(text);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`expected seconds, got "${text}"`);
+  return n;
+};
+
+const percent = text => {
+  const n = Number(text);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`expected a percentage, got "${text}"`);
+  return n;
+};
+
+const decibels = text => {
+  const n = parseFloat(text);
+  if (isNaN(n)) throw new Error(`expected dB, got "${text}"`);
+  return n;
+};
+
+const oneOf = choices => text => {
+  if (!choices.includes(text)) throw new Error(`expected one of ${choices.join(", ")}, got "${text}"`);
+  return text;
+};
+
+const keyValue = (sep, what) => text => {
+  const at = text.indexOf(sep);
+  if (at < 1) throw new Error(`expected ${what}, got "${text}"`);
+  return text;
+};
+
+const thresholdValue = text => {
+  parseThreshold(text);
+  return text;
+};
+
+const jsonOption = { type: "boolean", description: "Print JSON instead of text" };
+
+// A catalog plugin by path, id or name
+function findPlugin(text) {
+  const byPath = getDb().prepare("SELECT * FROM plugins WHERE path = ?").get(text);
+  if (byPath) return byPath;
+  const ref = resolvePluginRef(text);
+  if (!ref || ref.rest) throw new Error(`No plugin found: ${text}`);
+  return ref.plugin;
+}
+
+const printJson = value => console.log(JSON.stringify(value, null, 2));
+
+// Ask before replacing an existing output; true when it may be written
+async function confirmOverwrite(file) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question(`⚠️ Output file "${file}" exists. Overwrite? (y/n): `, resolve));
+  rl.close();
+  if (answer.toLowerCase().startsWith("y")) return true;
+  console.log("❌ Aborted by user");
+  return false;
+}
+
+// ---------------- COMMANDS ----------------
+const COMMANDS = [];
+const command = (spec, run) => COMMANDS.push({ ...spec, run });
+
+command({
+  name: "seed",
+  summary: "Scan plugins into the catalog",
+  description: "Scan installed plugins (and --dir folders) into the catalog. " +
+    "retry rescans plugins that failed (the given ids, or --all for quarantined ones too), " +
+    "failures lists recorded scan failures, unquarantine <id...>|--all lifts quarantine.",
+  args: [
+    { name: "action", description: "scan (default), retry, failures or unquarantine" },
+    { name: "ids", multiple: true, description: "Plugin ids for retry / unquarantine" },
+  ],
+  options: {
+    dir: { type: "string", value: "path", multiple: true, description: "Extra plugin folder to scan" },
+    concurrency: { type: "string", value: "n", parse: integer(1), default: SEED_DEFAULTS.concurrency, description: "Plugalyzer processes at once" },
+    timeout: { type: "string", value: "sec", parse: positive, default: SEED_DEFAULTS.timeout, description: "Time limit per plugin" },
+    force: { type: "boolean", description: "Rescan unchanged bundles" },
+    prune: { type: "boolean", description: "Remove uninstalled plugins from the catalog" },
+    all: { type: "boolean", description: "retry: include quarantined plugins; unquarantine: every plugin" },
+    verbose: { type: "boolean", description: "failures: show the scanner's stderr" },
+    json: jsonOption,
+  },
+  examples: ["seed --dir ~/Plugins", "seed retry 12 14", "seed failures --json"],
+}, async ({ options, args }) => {
+  let action = args.action ?? "scan";
+  const ids = args.ids;
+  if (/^\d+$/.test(action)) {
+    ids.unshift(action);
+    action = "scan";
+  }
+  if (ids.some(id => !/^\d+$/.test(id))) throw usageError(`Plugin ids are numbers, got ${ids.find(id => !/^\d+$/.test(id))}`);
+  const scanOptions = {
+    dirs: options.dir,
+    concurrency: options.concurrency,
+    timeout: options.timeout,
+    force: !!options.force,
+    prune: !!options.prune,
+  };
+
+  switch (action) {
+    case "scan":
+    case "seed":
+      await seed(scanOptions);
+      return 0;
+
+    case "retry":
+      if (options.all) await seed({ ...scanOptions, retry: true });
+      else await retryFailed({ ...scanOptions, ids: ids.map(Number) });
+      return 0;
+
+    case "failures": {
+      const rows = listFailures();
+      if (options.json) {
+        printJson(rows);
+        return 0;
+      }
+      if (!rows.length) console.log("No scan failures recorded");
+      for (const f of rows) {
+        const when = new Date(f.last_failed * 1000).toISOString();
+        console.log(`${f.quarantined ? "🚫" : "⚠️ "} [${f.id}] ${f.name} — ${f.failures}x, last: ${f.reason}${f.exit_code != null ? ` (exit ${f.exit_code})` : ""} at ${when}`);
+        console.log(`   ${f.path}`);
+        if (options.verbose && f.stderr) console.log(f.stderr.replace(/^/gm, "   | "));
+      }
+      return 0;
+    }
+
+    case "unquarantine": {
+      if (!ids.length && !options.all) throw usageError("unquarantine needs plugin ids or --all");
+      const released = unquarantine(ids.map(Number));
+      if (options.json) {
+        printJson(released);
+        return 0;
+      }
+      if (!released.length) console.log("Nothing to unquarantine");
+      released.forEach(p => console.log(`✅ Released [${p.id}] ${p.name}`));
+      return 0;
+    }
+
+    default: {
+      const hint = closest(action, ["scan", "retry", "failures", "unquarantine"]);
+      throw usageError(`Unknown seed action "${action}"${hint ? ` (did you mean ${hint}?)` : ""}`);
+    }
+  }
+});
+
+command({
+  name: "list",
+  summary: "List catalog plugins",
+  description: "List the plugins in the catalog, optionally those whose name contains <query>.",
+  args: [{ name: "query", description: "Part of the plugin name" }],
+  options: {
+    vendor: { type: "string", value: "name", description: "Only this vendor" },
+    format: { type: "string", value: "format", description: "Only this format (VST3, AU, sox)" },
+    all: { type: "boolean", description: "Include missing and quarantined plugins" },
+    sox: { type: "boolean", description: "Include the built-in sox effects" },
+    json: jsonOption,
+  },
+  examples: ["list reverb", "list --vendor Acme --json", "list --format sox"],
+}, async ({ options, args }) => {
+  const rows = listPlugins({ query: args.query, vendor: options.vendor, format: options.format, all: options.all, sox: options.sox });
+  if (options.json) {
+    printJson(rows);
+    return 0;
+  }
+  if (!rows.length) console.log("No plugins found");
+  for (const p of rows) {
+    const flags = [p.missing && "missing", p.quarantined && "quarantined"].filter(Boolean);
+    const about = [p.vendor, p.version, p.format].filter(Boolean).join(" ");
+    console.log(`- [${p.id}] ${p.name}${about ? ` — ${about}` : ""}, ${p.parameters} params${flags.length ? ` (${flags.join(", ")})` : ""}`);
+  }
+  return 0;
+});
+
+command({
+  name: "show",
+  summary: "Show a plugin and its parameters",
+  args: [{ name: "plugin", multiple: true, required: true, description: "Catalog id, name or path" }],
+  options: {
+    all: { type: "boolean", description: "Include text and MIDI CC parameters" },
+    json: jsonOption,
+  },
+  examples: ["show 12", "show Foo --json"],
+}, async ({ options, args }) => {
+  const plugin = findPlugin(args.plugin.join(" "));
+  const params = getParameters(plugin.id, { all: options.all }).filter(p => options.all || !p.name.startsWith("MIDI CC"));
+  const presets = listPresets(plugin.id);
+  if (options.json) {
+    printJson({ ...plugin, parameters: params, presets });
+    return 0;
+  }
+  console.log(`🎚️  Plugin: ${plugin.name} (${plugin.path})`);
+  const about = [plugin.vendor, plugin.version, plugin.format].filter(Boolean).join(" ");
+  if (about) console.log(`   ${about}${plugin.missing ? ", missing" : ""}${plugin.quarantined ? ", quarantined" : ""}`);
+  if (!params.length) console.log("No usable parameters found.");
+  else params.forEach(p => console.log(`- [${p.param_index}] ${p.name} — ${describeParameter(p)} (default: ${p.default_value})`));
+  if (presets.length) console.log(`💾 Presets: ${presets.map(pr => `@${pr.name}`).join(", ")}`);
+  return 0;
+});
+
+command({
+  name: "process",
+  summary: "Process audio through a plugin with random or fixed parameters",
+  description: "Run --input through one plugin (--plugin, or a random one) with parameters drawn from " +
+    "the seeded rng, a --preset or fixed --param values. Several inputs (globs or repeated --input) " +
+    "or --template switch to batch mode; --variations renders many draws and keeps the best; " +
+    "--rerender repeats a recorded render.",
+  options: {
+    input: { type: "string", short: "i", value: "file|glob", multiple: true, description: "Input audio" },
+    output: { type: "string", short: "o", value: "file", description: "Output; with --recurse N, passes write <name>_<i>.wav (default: out.wav)" },
+    plugin: { type: "string", short: "p", value: "id|name|path", description: "Plugin to use (default: random)" },
+    random: { type: "boolean", description: "Pick a random plugin even with --plugin" },
+    "include-sox": { type: "boolean", description: "Let random picks include the built-in sox effects" },
+    preset: { type: "string", value: "name", description: "Start from a saved preset (others at defaults)" },
+    param: { type: "string", value: "name:value", multiple: true, parse: keyValue(":", "name:value"), description: "Fix a parameter" },
+    seed: { type: "string", value: "seed", description: "Seed for a reproducible run" },
+    spread: { type: "string", value: "%", parse: text => percent(text) / 100, description: "Keep random values within ±N% of the defaults" },
+    exclude: { type: "string", value: "name", multiple: true, description: "Leave parameters matching this at their defaults" },
+    recurse: { type: "string", value: "N", parse: integer(1), default: 1, description: "Feed the output back N times" },
+    overwrite: { type: "boolean", description: "Overwrite existing outputs without asking" },
+    template: { type: "string", value: "template", description: `Batch output names (default: ${BATCH_DEFAULTS.template})` },
+    jobs: { type: "string", value: "N", parse: integer(1), default: BATCH_DEFAULTS.concurrency, description: "Parallel renders in batch / variations mode" },
+    mix: { type: "string", value: "%", parse: text => {
+      const n = Number(text);
+      if (!(n >= 0 && n <= 100)) throw new Error(`must be 0-100 (% wet), got "${text}"`);
+      return n;
+    }, description: "Wet/dry mix of the plugin" },
+    gain: { type: "string", value: "dB", parse: decibels, description: "Gain after the plugin" },
+    normalize: { type: "string", value: "mode[:target]", parse: parseNormalize, description: "Normalize after the plugin (peak, rms, lufs)" },
+    "pass-normalize": { type: "string", value: "mode[:target]", parse: parseNormalize, description: "Normalize at the end of each pass" },
+    limit: { type: "string", value: "dB|off", parse: parseCeiling, description: "Limiter ceiling at the end of each pass" },
+    reroll: { type: "string", value: "N", parse: integer(1), description: "Re-draw parameters until the quality checks pass, at most N times" },
+    quality: { type: "string", value: "check=value", multiple: true, parse: parseQualityFlag, description: `Quality check limit (${Object.keys(QUALITY_DEFAULTS).join(", ")})` },
+    variations: { type: "string", value: "N", parse: integer(1), description: "Render N random variations" },
+    keep: { type: "string", value: "K", parse: integer(1), description: `Variations to keep (default: ${VARIATION_DEFAULTS.keep})` },
+    rerender: { type: "string", value: "id|file", description: "Run a recorded render again" },
+  },
+  examples: [
+    "process -i in.wav -p Foo --param Gain:-3 --recurse 3",
+    "process -i 'drums/*.wav' --seed 42 --jobs 2",
+    "process -i in.wav --variations 20 --keep 3",
+  ],
+}, processAudio);
+
+async function processAudio({ options }) {
+  const inputPatterns = options.input;
+  const staging = {};
+  if (options.mix !== undefined) staging.mix = options.mix;
+  if (options.gain !== undefined) staging.gain = options.gain;
+  if (options.normalize !== undefined) staging.normalize = options.normalize;
+  const passOptions = {};
+  if (options.passNormalize !== undefined) passOptions.normalize = options.passNormalize;
+  if (options.limit !== undefined) passOptions.limit = options.limit;
+  const quality = { ...QUALITY_DEFAULTS, ...Object.fromEntries(options.quality) };
+  const seed = options.seed ?? newSeed();
+  const spread = options.spread ?? null;
+  const exclude = [...DEFAULT_EXCLUDE, ...options.exclude];
+  const fixedParams = options.param;
+  const recurseCount = options.recurse;
+  const rerollCount = options.reroll ?? 1;
+
+  if (options.rerender) {
+    const render = loadRender(options.rerender);
+    if (!render) throw new Error(`No render found: ${options.rerender}`);
+    const result = await rerender(render, { input: inputPatterns[0], output: options.output, source: "cli" });
+    if (!result.ok) return 1;
+    console.log(`🎉 Re-rendered: ${result.output} (render #${result.manifest.id})`);
+    return 0;
+  }
+
+  // --variations N [--keep K]: render N random draws, keep the best K
+  if (options.variations) {
+    const count = options.variations;
+    const keep = options.keep ?? Math.min(count, VARIATION_DEFAULTS.keep);
+    const inputs = expandInputs(inputPatterns);
+    if (inputs.length !== 1) throw usageError("--variations needs exactly one existing --input file");
+    if (options.preset) throw usageError("--variations draws random parameters; it can't be combined with --preset");
+
+    // one plugin with random params, or a random plugin per variation
+    let fixedPlugin = null;
+    const locked = new Map();
+    if (!options.random && options.plugin) {
+      fixedPlugin = findPlugin(options.plugin);
+      const params = getParameters(fixedPlugin.id);
+      for (const kv of fixedParams) {
+        const resolved = resolveParam(params, kv);
+        if (!resolved.ok) throw usageError(`Invalid --param ${kv}: ${resolved.error}`);
+        locked.set(resolved.param.name, resolved.value);
+      }
+    } else if (fixedParams.length) {
+      throw usageError("--param needs --plugin in variations mode");
+    }
+
+    console.log(`🌱 Seed: ${seed}`);
+    console.log(`🧪 Rendering ${count} variations of ${fixedPlugin ? fixedPlugin.name : "random plugins"}, keeping ${keep}`);
+    // each variation has its own seed, so any of them can be reproduced
+    const makeStep = i => {
+      const stepSeed = `${seed}/${i + 1}`;
+      const rng = createRng(stepSeed);
+      const plug = fixedPlugin || getRandomPlugin(rng, { includeSox: options.includeSox });
+      if (!plug) throw new Error("No plugin found!");
+      const params = randomizeParams(getParameters(plug.id), { rng, spread, exclude, locked });
+      return { ...plug, params, seed: stepSeed, ...staging };
+    };
+
+    const summary = await runVariations({
+      input: inputs[0],
+      count,
+      keep,
+      makeStep,
+      outputBase: options.output ?? "out.wav",
+      concurrency: options.jobs,
+      recurse: recurseCount,
+      quality,
+      runOptions: passOptions,
+      onProgress: ({ done, total, index, ok, error, output }) =>
+        console.log(`${ok ? "✅" : "🚫"} [${done}/${total}] variation ${index}${ok ? ` -> ${path.basename(output)}` : `: ${error}`}`),
+    });
+    console.log(`🏆 Kept ${summary.kept.length} of ${summary.rendered} (${summary.failed} failed the checks):`);
+    for (const v of summary.kept) {
+      console.log(`  ${v.rank}. ${path.basename(v.file)} score ${v.score} (distance ${v.distance_db} dB, novelty ${v.novelty_db} dB) ${v.plugin.name}: ${v.params.join(", ")}`);
+    }
+    console.log(`📝 Summary: ${summary.file}`);
+    return summary.kept.length ? 0 : 1;
+  }
+
+  if (!inputPatterns.length) throw usageError("No input file specified (--input)");
+  if (options.preset && options.reroll) throw usageError("--reroll re-rolls random parameters; it can't be combined with --preset");
+
+  const rng = createRng(seed);
+  console.log(`🌱 Seed: ${seed}`);
+  const plugin = options.random || !options.plugin ? getRandomPlugin(rng, { includeSox: options.includeSox }) : findPlugin(options.plugin);
+  if (!plugin) throw new Error("No plugin found!");
+  console.log(`🎲 Using plugin: ${plugin.name}`);
+
+  const params = getParameters(plugin.id);
+  let presetValues = [];
+  if (options.preset) {
+    const preset = getPreset(plugin.id, options.preset);
+    if (!preset) throw new Error(`No preset "${options.preset}" for ${plugin.name}`);
+    console.log(`🎛️  Using preset @${preset.name}`);
+    presetValues = presetParams(preset);
+  }
+
+  // --param values are locked; with a preset everything else is left at
+  // the plugin defaults, otherwise the rest is drawn from the seeded rng
+  const locked = new Map();
+  for (const kv of presetValues) {
+    const resolved = resolveParam(params, kv);
+    if (!resolved.ok) throw new Error(`Invalid value ${kv} in preset @${options.preset}: ${resolved.error}`);
+    locked.set(resolved.param.name, resolved.value);
+  }
+  for (const kv of fixedParams) {
+    const resolved = resolveParam(params, kv);
+    if (!resolved.ok) throw usageError(`Invalid --param ${kv}: ${resolved.error}`);
+    locked.set(resolved.param.name, resolved.value);
+  }
+  let paramValues = presetValues.length
+    ? [...locked].map(([name, value]) => `${name}:${value}`)
+    : randomizeParams(params, { rng, spread, exclude, locked });
+
+  // Several inputs (globs or repeated --input) or an explicit --template
+  // switch to batch mode: same chain and params for every file
+  const inputs = expandInputs(inputPatterns);
+  if (inputs.length > 1 || options.template) {
+    if (options.reroll) throw usageError("--reroll works on a single input");
+    if (!inputs.length) throw new Error("No input files matched");
+    console.log(`📦 Batch: ${inputs.length} file(s), ${options.jobs} at a time`);
+    const summary = await runBatch({
+      steps: [{ ...plugin, params: paramValues, ...staging }],
+      ...passOptions,
+      inputs,
+      template: options.template,
+      concurrency: options.jobs,
+      overwrite: !!options.overwrite,
+      recurse: recurseCount,
+      seed: presetValues.length ? null : seed,
+      onProgress: printProgress,
+    });
+    printSummary(summary);
+    return summary.failed ? 1 : 0;
+  }
+  const input = inputPatterns[0];
+
+  const outputBase = options.output ?? "out.wav";
+  const passOutput = i => path.join(
+    path.dirname(outputBase),
+    `${path.basename(outputBase, path.extname(outputBase))}_${i}${path.extname(outputBase)}`
+  );
+
+  let overwrite = !!options.overwrite;
+  // Check if any pass output exists and ask user
+  for (let i = 0; i < recurseCount && !overwrite; i++) {
+    const outputFile = passOutput(i);
+    if (!fs.existsSync(outputFile)) continue;
+    if (!(await confirmOverwrite(outputFile))) return 1;
+    overwrite = true;
+  }
+
+  // --reroll N: draw new parameters (from the same seeded rng) until the
+  // output passes the quality checks, at most N attempts
+  const controller = new AbortController();
+  process.on("SIGINT", () => {
+    if (controller.signal.aborted) process.exit(130);
+    console.log("\n⏹️  Cancelling... (Ctrl+C again to quit)");
+    controller.abort();
+  });
+  for (let attempt = 1; ; attempt++) {
+    const pipeline = new Pipeline({ steps: [{ ...plugin, params: paramValues, ...staging }], ...passOptions });
+    pipeline.on("log", line => console.log(line));
+    const result = await pipeline.run({
+      input,
+      output: passOutput(recurseCount - 1),
+      recurse: recurseCount,
+      signal: controller.signal,
+      outputFor: pass => path.resolve(passOutput(pass)),
+      overwrite,
+      seed: presetValues.length ? null : seed,
+      source: "cli",
+      verbose: true,
+    });
+    if (result.cancelled) return 130;
+    if (!result.ok) return 1;
+    if (!options.reroll) {
+      console.log(`🎉 Recursive processing finished! (render #${result.manifest.id})`);
+      return 0;
+    }
+
+    const { stats, id } = result.manifest;
+    const reasons = stats ? checkQuality(stats, quality) : ["output could not be analyzed"];
+    if (!reasons.length) {
+      console.log(`🎉 Render #${id} passed the quality checks (attempt ${attempt} of ${rerollCount})`);
+      return 0;
+    }
+    rejectRender(id, reasons);
+    console.log(`🚫 Render #${id} rejected: ${reasons.join(", ")}`);
+    if (attempt >= rerollCount) {
+      console.error(`❌ No render passed the quality checks after ${rerollCount} attempts`);
+      return 1;
+    }
+    console.log(`🎲 Re-rolling parameters (attempt ${attempt + 1} of ${rerollCount})`);
+    paramValues = randomizeParams(params, { rng, spread, exclude, locked });
+    overwrite = true;
+  }
+}
+
+command({
+  name: "run",
+  summary: "Run a pipeline file (see pipeline_file.js)",
+  description: "Validate a YAML/JSON pipeline file against the catalog and run it.",
+  args: [{ name: "file", required: true, description: "Pipeline file" }],
+  options: {
+    input: { type: "string", short: "i", value: "file", description: "Input audio (overrides the file's input)" },
+    output: { type: "string", short: "o", value: "file", description: "Output audio (overrides the file's output)" },
+    var: { type: "string", value: "name=value", multiple: true, parse: keyValue("=", "name=value"), description: "Set a variable" },
+    recurse: { type: "string", value: "N", parse: integer(1), description: "Passes (overrides the file's recurse)" },
+    overwrite: { type: "boolean", description: "Overwrite an existing output without asking" },
+    "no-cache": { type: "boolean", description: "Run every step, ignoring cached step outputs" },
+  },
+  examples: ["run master.yaml --input mix.wav --output mix_master.wav --var drive=-3"],
+}, async ({ options, args }) => {
+  const resolved = loadPipeline(args.file, options);
+  reportProblems(args.file, resolved);
+  if (resolved.errors.length) return 2;
+  const { pipeline, input, output, recurse } = resolved;
+  if (!input) throw usageError("No input: pass --input or set input in the file");
+  if (!fs.existsSync(input)) throw usageError(`No such input file: ${input}`);
+  if (output && fs.existsSync(output) && !options.overwrite && !(await confirmOverwrite(output))) return 1;
+
+  const controller = new AbortController();
+  process.on("SIGINT", () => {
+    if (controller.signal.aborted) process.exit(130);
+    console.log("\n⏹️  Cancelling... (Ctrl+C again to quit)");
+    controller.abort();
+  });
+  pipeline.on("log", line => console.log(line));
+  const result = await pipeline.run({
+    input,
+    ...(output ? { output } : {}),
+    recurse,
+    signal: controller.signal,
+    cache: options.noCache ? null : createStepCache(),
+    source: "file",
+  });
+  if (result.cancelled) return 130;
+  if (!result.ok) return 1;
+  console.log(`🎉 Pipeline finished: ${result.output} (render #${result.render})`);
+  return 0;
+});
+
+command({
+  name: "check",
+  summary: "Validate a pipeline file without running it",
+  args: [{ name: "file", required: true, description: "Pipeline file" }],
+  options: {
+    input: { type: "string", short: "i", value: "file", description: "Input audio, for variables that use it" },
+    output: { type: "string", short: "o", value: "file", description: "Output audio" },
+    var: { type: "string", value: "name=value", multiple: true, parse: keyValue("=", "name=value"), description: "Set a variable" },
+    json: jsonOption,
+  },
+}, async ({ options, args }) => {
+  const resolved = loadPipeline(args.file, options);
+  const { pipeline, input, output, recurse, warnings, errors } = resolved;
+  if (options.json) {
+    printJson({ valid: !errors.length, errors, warnings, input, output, recurse, pipeline });
+    return errors.length ? 2 : 0;
+  }
+  reportProblems(args.file, resolved);
+  if (errors.length) return 2;
+  console.log(`✅ ${args.file} is valid`);
+  if (input) console.log(`🎧 Input: ${input}`);
+  if (output) console.log(`💾 Output: ${output}`);
+  if (recurse > 1) console.log(`🔁 Passes: ${recurse}`);
+  pipeline.format().forEach(line => console.log(line));
+  return 0;
+});
+
+// Load and validate a pipeline file (see resolvePipelineFile); a file that
+// can't be read or parsed comes back as a single error
+function loadPipeline(file, options) {
+  const vars = Object.fromEntries(options.var.map(v => v.split(/=(.*)/s).slice(0, 2)));
+  try {
+    return resolvePipelineFile(loadPipelineFile(file), { vars, input: options.input, output: options.output, recurse: options.recurse });
+  } catch (err) {
+    return { pipeline: null, input: null, output: null, recurse: null, warnings: [], errors: [err.message] };
+  }
+}
+
+function reportProblems(file, { warnings, errors }) {
+  warnings.forEach(w => console.log(`⚠️ ${w}`));
+  if (!errors.length) return;
+  console.error(`❌ ${file} is invalid:`);
+  errors.forEach(e => console.error(`   ${e}`));
+}
+
+command({
+  name: "trim",
+  summary: "Trim silence from audio files, join or slice them",
+  description: "Trim leading and trailing silence from each file and join the results into --output " +
+    "(gaps, crossfades, fades and ordering as below), or with --slice cut each file into one numbered " +
+    "file per non-silent region plus a JSON manifest.",
+  args: [{ name: "files", multiple: true, required: true, description: "Audio files or globs" }],
+  options: {
+    threshold: { type: "string", value: "dB", parse: thresholdValue, description: `Silence threshold (default: ${TRIM_DEFAULTS.threshold})` },
+    duration: { type: "string", value: "sec", parse: text => String(seconds(text)), description: `Minimum silence duration (default: ${TRIM_DEFAULTS.duration}; ${SLICE_DEFAULTS.duration} with --slice)` },
+    output: { type: "string", short: "o", value: "file", default: "final.wav", description: "Joined output" },
+    gap: { type: "string", value: "len", parse: text => (parseGap(text), text), description: "Silence between clips: seconds, 250ms or beats@bpm (1@120)" },
+    crossfade: { type: "string", value: "sec", parse: seconds, description: "Overlap clips with a crossfade instead" },
+    fade: { type: "string", value: "sec", parse: seconds, description: "Fade out/in at every join" },
+    order: { type: "string", value: "order", parse: oneOf(JOIN_ORDERS), description: `${JOIN_ORDERS.join(", ")} (default: ${JOIN_DEFAULTS.order})` },
+    seed: { type: "string", value: "seed", description: "Seed for --order shuffle" },
+    "keep-trimmed": { type: "boolean", description: "Keep the *_trimmed.wav files after joining" },
+    "no-join": { type: "boolean", description: "Only trim, keeping the *_trimmed.wav files" },
+    slice: { type: "boolean", description: "Slice each file instead of trimming and joining" },
+    min: { type: "string", value: "sec", parse: seconds, description: `Drop slices shorter than this (default: ${SLICE_DEFAULTS.minLength})` },
+    max: { type: "string", value: "sec", parse: seconds, description: "Cut slices longer than this" },
+    preroll: { type: "string", value: "sec", parse: seconds, description: `Audio kept before each onset (default: ${SLICE_DEFAULTS.preroll})` },
+    padding: { type: "string", value: "sec", parse: seconds, description: `Audio kept after each slice (default: ${SLICE_DEFAULTS.padding})` },
+    normalize: { type: "boolean", description: "Peak-normalize every slice (to --peak)" },
+    peak: { type: "string", value: "dB", parse: text => {
+      const n = decibels(text);
+      if (n > 0) throw new Error("dBFS, at most 0");
+      return n;
+    }, default: NORMALIZE_TARGETS.peak, description: "Peak target for --normalize" },
+    "out-dir": { type: "string", value: "dir", description: "Where slices go (default: beside the input)" },
+  },
+  examples: ["trim takes/*.wav --gap 1/2@120 -o takes.wav", "trim loop.wav --slice --min 0.1 --normalize"],
+}, async ({ options, args }) => {
+  const files = expandInputs(args.files);
+  if (!files.length) throw new Error("No files matched the patterns");
+  // threshold/duration stay unset unless given, so trimming and slicing
+  // each fall back to their own defaults
+  const { threshold, duration } = options;
+
+  if (options.slice) {
+    for (const file of files) {
+      console.log(`🔪 Slicing ${path.basename(file)}`);
+      const manifest = await sliceFile(file, {
+        threshold, duration,
+        minLength: options.min, maxLength: options.max, preroll: options.preroll, padding: options.padding,
+        outputDir: options.outDir,
+        normalize: options.normalize ? options.peak : null,
+        onSlice: s => console.log(`   ${path.basename(s.file)} ${s.start.toFixed(3)}s - ${s.end.toFixed(3)}s${s.truncated ? " (cut at --max)" : ""}`),
+      });
+      const dropped = manifest.detected - manifest.slices.length;
+      console.log(`🎉 ${manifest.slices.length} slice(s)${dropped ? `, ${dropped} shorter than ${options.min ?? SLICE_DEFAULTS.minLength}s dropped` : ""}; manifest: ${manifest.file}`);
+    }
+    return 0;
+  }
+
+  const joinOptions = {
+    threshold, duration, output: options.output, gap: options.gap, crossfade: options.crossfade, fade: options.fade,
+    order: options.order, seed: options.seed, keepTrimmed: options.keepTrimmed, stdio: "inherit",
+  };
+  const onTrim = (input, output) => console.log(`🔹 Trimmed silence: ${path.basename(input)} -> ${path.basename(output)}`);
+  if (options.noJoin || files.length === 1) {
+    await trimFiles(files, { ...joinOptions, onTrim });
+    if (!options.noJoin) console.log("Only one file trimmed, no concatenation needed.");
+    return 0;
+  }
+  console.log(`🔹 Trimming ${files.length} files and joining into ${options.output}`);
+  const result = await trimAndJoin(files, { ...joinOptions, onTrim });
+  console.log(`🎉 Finished: ${options.output} (${result.files.length} clips, ${result.duration.toFixed(2)}s)`);
+  return 0;
+});
+
+command({
+  name: "repl",
+  summary: "Build and run pipelines interactively",
+  description: "Start the interactive pipeline editor (type 'help' inside for its commands).",
+}, async () => {
+  await import("./repl.js");
+  // the REPL exits the process itself
+  return new Promise(() => {});
+});
+
+command({
+  name: "serve",
+  summary: "Serve the catalog and a render job queue over HTTP",
+  description: "Start a local HTTP/JSON server: catalog search (/plugins, /parameters) and pipeline " +
+    "render jobs (/jobs) that run in the background, stream progress as Server-Sent Events and " +
+    "serve their output. Jobs are kept in the catalog database; ones cut short by a restart run again. " +
+    "See server.js for the routes.",
+  options: {
+    host: { type: "string", value: "host", default: SERVER_DEFAULTS.host, description: "Address to listen on; requests must address it or localhost" },
+    port: { type: "string", short: "p", value: "port", parse: integer(0), default: SERVER_DEFAULTS.port, description: "Port (0 picks a free one)" },
+    jobs: { type: "string", short: "j", value: "N", parse: integer(1), default: JOB_DEFAULTS.concurrency, description: "Renders at once" },
+    "output-dir": { type: "string", value: "dir", default: JOB_DEFAULTS.outputDir, description: "Job output directory: every job writes inside it" },
+    "no-cache": { type: "boolean", description: "Run every step, ignoring cached step outputs" },
+  },
+  examples: ["serve --port 8080 --jobs 2", "serve --host 192.168.1.20"],
+}, async ({ options }) => {
+  const queue = new JobQueue({
+    concurrency: options.jobs,
+    outputDir: options.outputDir,
+    cache: options.noCache ? null : createStepCache(),
+  });
+  queue.on("job", job => {
+    const icons = { queued: "📥", running: "▶️", done: "✅", failed: "❌", cancelled: "⏹️" };
+    console.log(`${icons[job.status]} Job ${job.id} ${job.status}${job.error && job.status === "failed" ? `: ${job.error}` : ""}`);
+  });
+  const server = createServer({ queue, host: options.host });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(options.port, options.host, resolve);
+  });
+  queue.start();
+  const { address, port } = server.address();
+  console.log(`🌐 Listening on http://${address.includes(":") ? `[${address}]` : address}:${port} (${options.jobs} job(s) at once, Ctrl+C to stop)`);
+
+  return new Promise(resolve => {
+    let stopping = false;
+    process.on("SIGINT", async () => {
+      if (stopping) process.exit(130);
+      stopping = true;
+      console.log("\n🛑 Stopping; running jobs go back to the queue (Ctrl+C again to quit)");
+      server.close();
+      server.closeAllConnections();
+      await queue.stop();
+      resolve(0);
+    });
+  });
+});
+
+// ---------------- MAIN ----------------
+const GLOBAL_HELP = `Global options:
+  --db <file>           Catalog database (default: PLUGINS_DB, the config file's dbPath or plugins.db)
+  --backend <name>      Backend for plugin steps: ${BACKENDS.join(" or ")} (default: the config file's backend)
+  --dry-run             Same as --backend dry-run: print Plugalyzer commands and copy the audio through
+  --plugalyzer <file>   Plugalyzer binary (default: the config file's plugalyzerPath or Plugalyzer)
+  -h, --help            Help for a command (or: ${PROGRAM} help <command>)
+  --version             Print the version
+
+Exit codes: 0 done, 1 failed, 2 bad usage or invalid input, 130 cancelled`;
+
+export async function main(argv) {
+  let args;
+  try {
+    args = takeBackendFlags(takeDbFlag(argv));
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return 2;
+  }
+  const [name, ...rest] = args;
+  const list = () => formatCommandList(PROGRAM, COMMANDS, { summary: "Audio plugin catalog, random processing and pipelines", footer: GLOBAL_HELP });
+
+  if (!name || name === "--help" || name === "-h") {
+    console.log(list());
+    return name ? 0 : 2;
+  }
+  if (name === "--version") {
+    const { version } = JSON.parse(fs.readFileSync(new URL("./package.json", import.meta.url), "utf-8"));
+    console.log(version);
+    return 0;
+  }
+  const find = n => COMMANDS.find(c => c.name === n);
+  if (name === "help") {
+    if (!rest.length) {
+      console.log(list());
+      return 0;
+    }
+    const spec = find(rest[0]);
+    if (!spec) return unknownCommand(rest[0]);
+    console.log(formatHelp(PROGRAM, spec));
+    return 0;
+  }
+
+  const spec = find(name);
+  if (!spec) return unknownCommand(name);
+  const dashDash = rest.indexOf("--");
+  if (rest.slice(0, dashDash === -1 ? undefined : dashDash).some(a => a === "--help" || a === "-h")) {
+    console.log(formatHelp(PROGRAM, spec));
+    return 0;
+  }
+
+  try {
+    return (await spec.run(parseCommand(spec, rest))) ?? 0;
+  } catch (err) {
+    if (err.usage) {
+      console.error(`❌ ${err.message}\nRun '${PROGRAM} ${name} --help' for usage.`);
+      return 2;
+    }
+    console.error("❌", err.shortMessage || err.message);
+    return 1;
+  }
+}
+
+function unknownCommand(name) {
+  const hint = closest(name, COMMANDS.map(c => c.name));
+  console.error(`❌ Unknown command "${name}"${hint ? ` (did you mean ${hint}?)` : ""}\nRun '${PROGRAM} --help' for the list of commands.`);
+  return 2;
+}
+
+// realpath: installed as a bin, argv[1] is the symlink
+if (process.argv[1] && import.meta.url === `file://${fs.realpathSync(process.argv[1])}`) {
+  process.exitCode = await main(process.argv.slice(2));
+}
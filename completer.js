@@ -0,0 +1,236 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { config } from "./config.js";
+import { getDb } from "./db.js";
+import { isPlugin, isSplit, locate, walk } from "./graph.js";
+import { getParameters, resolvePluginRef } from "./index.js";
+import { listPresets } from "./presets.js";
+import { SIDECAR_SUFFIX } from "./renders.js";
+import { JOIN_ORDERS } from "./truncate_silence.js";
+
+// Tab completion and persistent history for the REPL
+
+export const HISTORY_FILE = config.historyFile || path.join(os.homedir(), ".plugalyzer_history");
+const HISTORY_SIZE = 1000;
+
+export function loadHistory(file = HISTORY_FILE) {
+  try {
+    // stored oldest first; readline wants newest first
+    return fs.readFileSync(file, "utf-8").split("\n").filter(Boolean).slice(-HISTORY_SIZE).reverse();
+  } catch {
+    return [];
+  }
+}
+
+export function saveHistory(history, file = HISTORY_FILE) {
+  try {
+    fs.writeFileSync(file, [...history].slice(0, HISTORY_SIZE).reverse().join("\n") + "\n");
+  } catch (err) {
+    console.error("⚠️ Failed to save history:", err.message);
+  }
+}
+
+const startsWithCi = (s, prefix) => s.toLowerCase().startsWith(prefix.toLowerCase());
+
+function completePaths(partial) {
+  const expanded = partial.startsWith("~/") ? path.join(os.homedir(), partial.slice(2)) : partial;
+  const dir = expanded.endsWith("/") ? expanded : path.dirname(expanded);
+  const base = expanded.endsWith("/") ? "" : path.basename(expanded);
+  const shownDir = partial.endsWith("/") ? partial : partial.slice(0, partial.length - base.length);
+  let entries;
+  try {
+    entries = fs.readdirSync(dir || ".", { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(e => e.name.startsWith(base) && (base.startsWith(".") || !e.name.startsWith(".")))
+    .map(e => shownDir + e.name + (e.isDirectory() ? "/" : ""));
+}
+
+function stateNames() {
+  try {
+    return fs.readdirSync(".")
+      .filter(f => f.endsWith(".json") && f !== "autosave.json" && !f.endsWith(SIDECAR_SUFFIX))
+      .map(f => f.slice(0, -".json".length));
+  } catch {
+    return [];
+  }
+}
+
+// Complete "@preset", parameter names ("Name:"), "-Name" unsets and enum
+// options after "Name:" for the given plugin. `tail` is the text typed so far.
+function completeParams(tail, pluginId) {
+  if (/^@\S*$/.test(tail)) {
+    const names = listPresets(pluginId).map(pr => `@${pr.name}`);
+    return [names.filter(n => startsWithCi(n, tail)).map(n => tail + n.slice(tail.length)), tail];
+  }
+
+  const params = getParameters(pluginId);
+  if (!params.length) return [[], tail];
+
+  // name position: the longest suffix that starts a word and begins a name
+  // (or "-name"); an empty suffix after whitespace offers every name
+  for (let i = 0; i <= tail.length; i++) {
+    if (i > 0 && !/\s/.test(tail[i - 1])) continue;
+    const suffix = tail.slice(i);
+    const unset = suffix.startsWith("-");
+    const partial = unset ? suffix.slice(1) : suffix;
+    const hits = params
+      .filter(p => startsWithCi(p.name, partial))
+      .map(p => (unset ? "-" : "") + partial + p.name.slice(partial.length) + (unset ? "" : ":"));
+    if (hits.length) return [hits, suffix];
+  }
+
+  // value position: "...<Name>:<partial>"
+  const sorted = [...params].sort((a, b) => b.name.length - a.name.length);
+  for (const p of sorted) {
+    const re = new RegExp(`(?:^|\\s)${p.name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}:([^:]*)$`, "i");
+    const m = tail.match(re);
+    if (m) {
+      const partial = m[1];
+      const options = p.options || [];
+      return [options.filter(o => startsWithCi(o, partial)).map(o => partial + o.slice(partial.length)), partial];
+    }
+  }
+  return [[], ""];
+}
+
+// Build a readline completer. `context()` returns the live REPL state
+// ({ commands, pipeline }) so completions follow the current pipeline.
+export function createCompleter(context) {
+  return line => {
+    const { commands, pipeline } = context();
+    const firstSpace = line.search(/\s/);
+
+    if (firstSpace === -1) {
+      const hits = commands.filter(c => c.startsWith(line));
+      return [hits.length ? hits : commands, line];
+    }
+
+    const command = line.slice(0, firstSpace);
+    const rest = line.slice(firstSpace).replace(/^\s+/, "");
+    const lastToken = rest.split(/\s+/).pop();
+
+    const nodes = walk(pipeline);
+    const paths = kind => nodes.filter(n => n.kind === kind).map(n => n.path);
+
+    switch (command) {
+      case "add":
+      case "show": {
+        if (command === "add" && rest.startsWith("--to=") && !/\s/.test(rest)) {
+          return [paths("branch").map(p => `--to=${p}`).filter(p => p.startsWith(rest)), rest];
+        }
+        // add --to=<branch> completes like a plain add after the flag
+        const text = command === "add" ? rest.replace(/^--to=\S+\s+/, "") : rest;
+        const ref = /\s/.test(text) ? resolvePluginRef(text) : null;
+        if (command === "add" && ref) return completeParams(ref.rest, ref.plugin.id);
+        const plugins = getDb().prepare("SELECT id, name FROM plugins ORDER BY name").all();
+        if (/^\d*$/.test(text)) {
+          return [plugins.map(p => String(p.id)).filter(id => id.startsWith(text)), text];
+        }
+        return [plugins.map(p => p.name).filter(n => startsWithCi(n, text)).map(n => text + n.slice(text.length)), text];
+      }
+
+      case "mod":
+      case "randomize":
+      case "params":
+      case "rm":
+      case "remove": {
+        const steps = command === "rm" || command === "remove"
+          ? nodes.map(n => n.path)
+          : nodes.filter(n => n.kind === "step" && isPlugin(n.step)).map(n => n.path);
+        const stepMatch = rest.match(/^([\d.]+)\s+([^]*)$/);
+        if (command === "mod" && stepMatch) {
+          const found = locate(pipeline, stepMatch[1]);
+          return found.kind === "step" && isPlugin(found.step) ? completeParams(stepMatch[2], found.step.id) : [[], ""];
+        }
+        return [steps.filter(s => s.startsWith(rest)), rest];
+      }
+
+      case "branch":
+        return [nodes.filter(n => n.kind === "step" && isSplit(n.step)).map(n => n.path).filter(p => p.startsWith(rest)), rest];
+
+      case "gain":
+        return /\s/.test(rest) ? [[], lastToken] : [nodes.filter(n => n.kind === "branch" || isPlugin(n.step)).map(n => n.path).filter(p => p.startsWith(rest)), rest];
+
+      case "mix":
+      case "norm":
+        if (command === "norm" && /\s/.test(rest)) return [["peak", "rms", "lufs", "off"].filter(m => m.startsWith(lastToken)), lastToken];
+        if (/\s/.test(rest)) return [[], lastToken];
+        return [nodes.filter(n => n.kind === "step" && isPlugin(n.step)).map(n => n.path).filter(p => p.startsWith(rest)), rest];
+
+      case "set":
+        if (!/\s/.test(rest)) return [["norm", "limit"].filter(c => c.startsWith(rest)), rest];
+        if (rest.startsWith("norm ")) return [["peak", "rms", "lufs", "off"].filter(m => m.startsWith(lastToken)), lastToken];
+        return [["auto", "off"].filter(m => m.startsWith(lastToken)), lastToken];
+
+      case "trim":
+      case "join":
+      case "slice":
+        if (lastToken.startsWith("--order=")) return [JOIN_ORDERS.map(o => `--order=${o}`).filter(o => o.startsWith(lastToken)), lastToken];
+        if (command === "trim" && lastToken.startsWith("--to=")) return [paths("branch").map(p => `--to=${p}`).filter(p => p.startsWith(lastToken)), lastToken];
+        return [completePaths(lastToken), lastToken];
+
+      case "play":
+      case "p":
+      case "ab": {
+        if (lastToken.startsWith("--")) return [["--rounds="].filter(o => o.startsWith(lastToken)), lastToken];
+        const refs = ["in", "out", ...nodes.filter(n => n.kind === "step").map(n => n.path)].filter(r => r.startsWith(lastToken));
+        return [[...refs, ...completePaths(lastToken)], lastToken];
+      }
+
+      case "cache":
+        return [["stats", "clear"].filter(c => c.startsWith(rest)), rest];
+
+      case "split":
+        if (lastToken.startsWith("--to=")) return [paths("branch").map(p => `--to=${p}`).filter(p => p.startsWith(lastToken)), lastToken];
+        return [[], lastToken];
+
+      case "rerender":
+        if (!/\s/.test(rest) && /^\d*$/.test(rest)) {
+          const ids = getDb().prepare("SELECT id FROM renders ORDER BY id DESC LIMIT 50").pluck().all().map(String);
+          return [ids.filter(id => id.startsWith(rest)), rest];
+        }
+        return [completePaths(lastToken), lastToken];
+
+      case "variations":
+      case "variation":
+      case "export":
+      case "import":
+        if (/\s/.test(rest)) return [[], lastToken];
+        return [completePaths(lastToken), lastToken];
+
+      case "stats":
+      case "in":
+      case "run":
+      case "r":
+      case "run_pipeline":
+        if (lastToken.startsWith("--")) return [["--recurse="].filter(f => f.startsWith(lastToken)), lastToken];
+        return [completePaths(lastToken), lastToken];
+
+      case "batch":
+        if (lastToken.startsWith("--")) {
+          return [["--out=", "--jobs=", "--recurse=", "--overwrite"].filter(f => f.startsWith(lastToken)), lastToken];
+        }
+        return [completePaths(lastToken), lastToken];
+
+      case "preset":
+        if (!/\s/.test(rest)) {
+          return [["save", "list", "rm", "export", "import"].filter(c => c.startsWith(rest)), rest];
+        }
+        if (/^(export|import)\s/.test(rest)) return [completePaths(lastToken), lastToken];
+        return [[], lastToken];
+
+      case "load":
+      case "l":
+      case "save":
+      case "s":
+        return [stateNames().filter(n => n.startsWith(lastToken)), lastToken];
+
+      default:
+        return [[], lastToken];
+    }
+  };
+}
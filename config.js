@@ -0,0 +1,19 @@
+import fs from "fs";
+import path from "path";
+
+// Optional per-machine settings, read from ./plugalyzer.config.json
+// (or the file named by PLUGALYZER_CONFIG).
+export const CONFIG_FILE = process.env.PLUGALYZER_CONFIG || "plugalyzer.config.json";
+
+export function loadConfig(file = CONFIG_FILE) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(resolved, "utf-8"));
+  } catch (err) {
+    console.error(`⚠️ Failed to read config ${resolved}:`, err.message);
+    return {};
+  }
+}
+
+export const config = loadConfig();
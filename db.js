@@ -0,0 +1,407 @@
+import Database from "better-sqlite3";
+import path from "path";
+import { config } from "./config.js";
+import { parseParameter, toColumns } from "./params.js";
+import { soxParameters, soxPluginInfo, soxPlugins } from "./backends.js";
+
+// Catalog location: --db flag (via useDatabase), PLUGINS_DB env var,
+// config file "dbPath", then ./plugins.db.
+let dbPath = process.env.PLUGINS_DB || config.dbPath || "plugins.db";
+let db = null;
+
+const columns = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+
+const addColumn = (db, table, column) => {
+  if (!columns(db, table).includes(column.split(" ")[0])) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+  }
+};
+
+// ---------------- MIGRATION 2 PARSER ----------------
+// The parameter model as migration 2 backfilled it: a frozen copy of
+// params.js's parser, so later parser changes don't change what the
+// migration does to an old catalog.
+const V2_UNIT_BASE = { hz: ["Hz", 1], khz: ["Hz", 1000], ms: ["ms", 1], s: ["ms", 1000], sec: ["ms", 1000] };
+const V2_BOOLEAN_PAIRS = [
+  ["off", "on"], ["false", "true"], ["no", "yes"], ["disabled", "enabled"],
+  ["disable", "enable"], ["inactive", "active"], ["bypassed", "active"],
+];
+const V2_TEXT = { kind: "text", min_value: null, max_value: null, unit: null, options: null, default_norm: null, steps: null };
+
+function v2Quantity(text) {
+  const m = String(text ?? "").trim().match(/^([-+]?(?:inf|\d+(?:\.\d+)?|\.\d+))\s*(.*)$/i);
+  if (!m) return null;
+  const value = /inf/i.test(m[1]) ? (m[1].startsWith("-") ? -Infinity : Infinity) : parseFloat(m[1]);
+  const unit = m[2].trim() || null;
+  if (unit && /\d/.test(unit)) return null;
+  return { value, unit };
+}
+
+function v2ToBase(quantity, unit) {
+  if (!quantity.unit || quantity.unit === unit) return quantity.value;
+  const from = V2_UNIT_BASE[quantity.unit.toLowerCase()];
+  const to = unit && V2_UNIT_BASE[unit.toLowerCase()];
+  if (!from || !to || from[0] !== to[0]) return quantity.value;
+  return (quantity.value * from[1]) / to[1];
+}
+
+function v2CommonUnit(a, b) {
+  if (!a.unit || !b.unit || a.unit === b.unit) return a.unit || b.unit;
+  const ua = V2_UNIT_BASE[a.unit.toLowerCase()];
+  const ub = V2_UNIT_BASE[b.unit.toLowerCase()];
+  return ua && ub && ua[0] === ub[0] ? ua[0] : a.unit;
+}
+
+function v2Options(options, defaultText) {
+  const lower = options.map(o => o.toLowerCase());
+  const boolean = options.length === 2 && V2_BOOLEAN_PAIRS.some(([f, t]) => lower[0] === f && lower[1] === t);
+  const idx = lower.indexOf(String(defaultText ?? "").trim().toLowerCase());
+  return {
+    kind: boolean ? "boolean" : "enum",
+    min_value: null,
+    max_value: null,
+    unit: null,
+    options,
+    default_norm: options.length > 1 && idx >= 0 ? idx / (options.length - 1) : 0,
+    steps: options.length,
+  };
+}
+
+function v2Parameter({ values, default_value }) {
+  const text = String(values ?? "").trim();
+  if (!text || text === "to") return { ...V2_TEXT };
+  const range = text.match(/^(.*?)\s+to\s+(.*)$/);
+  if (range) {
+    const lo = v2Quantity(range[1]);
+    const hi = v2Quantity(range[2]);
+    if (lo && hi && Number.isFinite(hi.value) && lo.value !== Infinity) {
+      const unit = v2CommonUnit(lo, hi);
+      const min = v2ToBase(lo, unit);
+      const max = v2ToBase(hi, unit);
+      const def = v2Quantity(default_value);
+      const defValue = def ? v2ToBase(def, unit) : min;
+      const floor = Number.isFinite(min) ? min : Math.min(-96, max);
+      const integral = !unit && Number.isInteger(min) && Number.isInteger(max) &&
+        !/\./.test(range[1] + range[2]) && max > min && max - min < 128;
+      return {
+        kind: "continuous",
+        min_value: min,
+        max_value: max,
+        unit,
+        options: null,
+        default_norm: max > floor ? Math.min(1, Math.max(0, (defValue - floor) / (max - floor))) : null,
+        steps: integral ? max - min + 1 : null,
+      };
+    }
+  }
+  if (text.includes(", ")) return v2Options(text.split(", ").map(o => o.trim()).filter(Boolean), default_value);
+  if (range && range[1].trim() && range[2].trim()) return v2Options([range[1].trim(), range[2].trim()], default_value);
+  return { ...V2_TEXT };
+}
+
+// Ordered schema migrations; migrations[n] takes the database from
+// user_version n to n + 1. Only ever append to this list.
+export const migrations = [
+  // 1: unify the tables that index.js and seed.js used to create on their own
+  db => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS plugins (
+        id INTEGER PRIMARY KEY,
+        path TEXT UNIQUE,
+        name TEXT,
+        root TEXT,
+        last_scanned INTEGER
+      );
+    `);
+    addColumn(db, "plugins", "root TEXT");
+    addColumn(db, "plugins", "last_scanned INTEGER");
+
+    const paramColumns = columns(db, "parameters");
+    if (paramColumns.includes("id")) {
+      // index.js variant: surrogate id, no supports_text
+      db.exec(`ALTER TABLE parameters RENAME TO parameters_old`);
+    }
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS parameters (
+        plugin_id INTEGER,
+        param_index INTEGER,
+        name TEXT,
+        "values" TEXT,
+        default_value TEXT,
+        supports_text BOOLEAN DEFAULT 0,
+        PRIMARY KEY(plugin_id, param_index),
+        FOREIGN KEY(plugin_id) REFERENCES plugins(id)
+      );
+    `);
+    if (paramColumns.includes("id")) {
+      db.exec(`
+        INSERT OR REPLACE INTO parameters (plugin_id, param_index, name, "values", default_value)
+        SELECT plugin_id, param_index, name, "values", default_value
+        FROM parameters_old
+        WHERE plugin_id IS NOT NULL AND param_index IS NOT NULL
+        ORDER BY id;
+        DROP TABLE parameters_old;
+      `);
+    }
+  },
+
+  // 2: typed parameter model, backfilled from the raw "values" text
+  db => {
+    for (const column of [
+      "kind TEXT",
+      "min_value REAL",
+      "max_value REAL",
+      "unit TEXT",
+      "options TEXT",
+      "default_norm REAL",
+      "steps INTEGER",
+    ]) {
+      addColumn(db, "parameters", column);
+    }
+    const update = db.prepare(`
+      UPDATE parameters
+      SET kind=@kind, min_value=@min_value, max_value=@max_value, unit=@unit,
+          options=@options, default_norm=@default_norm, steps=@steps
+      WHERE plugin_id=@plugin_id AND param_index=@param_index
+    `);
+    for (const row of db.prepare(`SELECT * FROM parameters`).all()) {
+      const model = v2Parameter(row);
+      update.run({ ...model, options: model.options ? JSON.stringify(model.options) : null, plugin_id: row.plugin_id, param_index: row.param_index });
+    }
+  },
+
+  // 3: seed failure log and quarantine flag
+  db => {
+    addColumn(db, "plugins", "quarantined INTEGER DEFAULT 0");
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS scan_failures (
+        id INTEGER PRIMARY KEY,
+        plugin_id INTEGER,
+        reason TEXT,
+        exit_code INTEGER,
+        signal TEXT,
+        stderr TEXT,
+        failed_at INTEGER,
+        FOREIGN KEY(plugin_id) REFERENCES plugins(id)
+      );
+      CREATE INDEX IF NOT EXISTS scan_failures_plugin ON scan_failures(plugin_id);
+    `);
+  },
+
+  // 4: bundle fingerprint + metadata, and a flag for uninstalled plugins
+  db => {
+    addColumn(db, "plugins", "fingerprint TEXT");
+    addColumn(db, "plugins", "vendor TEXT");
+    addColumn(db, "plugins", "version TEXT");
+    addColumn(db, "plugins", "format TEXT");
+    addColumn(db, "plugins", "missing INTEGER DEFAULT 0");
+    db.exec(`
+      UPDATE plugins SET format = CASE
+        WHEN path LIKE '%.component' THEN 'AU'
+        WHEN path LIKE '%.vst3' THEN 'VST3'
+      END
+      WHERE format IS NULL;
+    `);
+  },
+
+  // 5: named parameter presets per plugin
+  db => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS presets (
+        id INTEGER PRIMARY KEY,
+        plugin_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        params TEXT NOT NULL,
+        created_at INTEGER,
+        updated_at INTEGER,
+        UNIQUE(plugin_id, name),
+        FOREIGN KEY(plugin_id) REFERENCES plugins(id)
+      );
+    `);
+  },
+
+  // 6: render provenance; the full manifest is kept as JSON alongside the
+  // columns we filter on
+  db => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS renders (
+        id INTEGER PRIMARY KEY,
+        created_at INTEGER,
+        source TEXT,
+        input TEXT,
+        input_hash TEXT,
+        output TEXT,
+        recurse INTEGER,
+        seed TEXT,
+        status TEXT,
+        error TEXT,
+        duration_ms INTEGER,
+        sidecar TEXT,
+        manifest TEXT
+      );
+      CREATE INDEX IF NOT EXISTS renders_output ON renders(output);
+    `);
+  },
+
+  // 7: audio analysis of each render's output (analysis.js)
+  db => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS render_stats (
+        render_id INTEGER PRIMARY KEY REFERENCES renders(id) ON DELETE CASCADE,
+        file TEXT,
+        duration_s REAL,
+        sample_rate INTEGER,
+        channels INTEGER,
+        peak_db REAL,
+        rms_db REAL,
+        lufs REAL,
+        crest_db REAL,
+        dc_offset REAL,
+        silence_ratio REAL,
+        clipped_samples INTEGER,
+        centroid_hz REAL,
+        analyzed_at INTEGER
+      );
+    `);
+  },
+  // 8: step output cache (cache.js)
+  db => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS step_cache (
+        key TEXT PRIMARY KEY,
+        file TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        last_used INTEGER NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE INDEX IF NOT EXISTS step_cache_last_used ON step_cache(last_used);
+    `);
+  },
+
+  // 9: render jobs queued through the HTTP server (jobs.js)
+  db => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY,
+        status TEXT NOT NULL,
+        pipeline TEXT NOT NULL,
+        steps TEXT NOT NULL,
+        input TEXT NOT NULL,
+        output TEXT,
+        recurse INTEGER NOT NULL DEFAULT 1,
+        render_id INTEGER,
+        error TEXT,
+        progress TEXT,
+        created_at INTEGER NOT NULL,
+        started_at INTEGER,
+        finished_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS jobs_status ON jobs(status, id);
+    `);
+  },
+
+  // 10: whether a job's output file is its own (it didn't exist when the
+  // job started), so only those are removed when a job is cut short
+  db => {
+    addColumn(db, "jobs", "owns_output INTEGER NOT NULL DEFAULT 0");
+  },
+
+  // 11: plugins without parameters are no longer scan failures; lift the
+  // quarantine of those that had no other failures and let them rescan
+  db => {
+    db.exec(`
+      DELETE FROM scan_failures WHERE reason = 'no-parameters';
+      UPDATE plugins SET quarantined = 0
+      WHERE quarantined = 1 AND id NOT IN (SELECT plugin_id FROM scan_failures);
+    `);
+  },
+];
+
+export const SCHEMA_VERSION = migrations.length;
+
+export function migrate(db) {
+  const current = db.pragma("user_version", { simple: true });
+  if (current > SCHEMA_VERSION) {
+    throw new Error(`Database schema v${current} is newer than this code (v${SCHEMA_VERSION})`);
+  }
+  for (let v = current; v < SCHEMA_VERSION; v++) {
+    db.transaction(() => {
+      migrations[v](db);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+  return SCHEMA_VERSION - current;
+}
+
+// The built-in sox effects (backends.js) are in every catalog from the
+// start, so search and random picks find them before any seed. A changed
+// effect definition (its fingerprint) replaces its parameters.
+function registerSoxPlugins(db) {
+  const known = new Map(db.prepare(`SELECT path, fingerprint FROM plugins WHERE format = 'sox'`).all().map(p => [p.path, p.fingerprint]));
+  const upsert = db.prepare(`
+    INSERT INTO plugins (path, name, root, vendor, version, format, fingerprint, missing, last_scanned)
+    VALUES (@path, @name, @root, @vendor, @version, @format, @fingerprint, 0, @last_scanned)
+    ON CONFLICT(path) DO UPDATE SET
+      name=excluded.name, vendor=excluded.vendor, format=excluded.format, fingerprint=excluded.fingerprint,
+      missing=0, quarantined=0, last_scanned=excluded.last_scanned
+    RETURNING id
+  `);
+  const insertParam = db.prepare(`
+    INSERT INTO parameters (
+      plugin_id, param_index, name, "values", default_value, supports_text,
+      kind, min_value, max_value, unit, options, default_norm, steps
+    ) VALUES (
+      @plugin_id, @param_index, @name, @values, @default_value, @supports_text,
+      @kind, @min_value, @max_value, @unit, @options, @default_norm, @steps
+    )
+  `);
+  db.transaction(() => {
+    for (const plugin of soxPlugins()) {
+      const info = soxPluginInfo(plugin.path);
+      if (known.get(plugin.path) === info.fingerprint) continue;
+      const { id } = upsert.get({ ...plugin, ...info, last_scanned: Math.floor(Date.now() / 1000) });
+      db.prepare(`DELETE FROM parameters WHERE plugin_id = ?`).run(id);
+      for (const p of soxParameters(plugin.path)) {
+        insertParam.run({ plugin_id: id, ...p, supports_text: 1, ...toColumns(parseParameter(p)) });
+      }
+    }
+  })();
+}
+
+export function openDatabase(file = dbPath) {
+  const conn = new Database(file);
+  conn.pragma("journal_mode = WAL");
+  conn.pragma("busy_timeout = 5000");
+  migrate(conn);
+  conn.pragma("foreign_keys = ON");
+  registerSoxPlugins(conn);
+  return conn;
+}
+
+// Point the shared connection at another catalog. Must run before getDb().
+export function useDatabase(file) {
+  if (db) {
+    db.close();
+    db = null;
+  }
+  dbPath = file;
+}
+
+export function getDb() {
+  if (!db) db = openDatabase(dbPath);
+  return db;
+}
+
+export const getDbPath = () => path.resolve(dbPath);
+
+// Pull "--db <path>" / "--db=<path>" out of argv, returning the remaining args.
+export function takeDbFlag(args) {
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--db" && args[i + 1]) useDatabase(args[++i]);
+    else if (args[i].startsWith("--db=")) useDatabase(args[i].slice("--db=".length));
+    else rest.push(args[i]);
+  }
+  return rest;
+}
@@ -0,0 +1,98 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { config } from "./config.js";
+
+export const PLUGIN_EXTENSIONS = [".vst3", ".component"];
+
+const home = os.homedir();
+
+const PLATFORM_DIRS = {
+  darwin: [
+    "/Library/Audio/Plug-Ins/VST3",
+    "/Library/Audio/Plug-Ins/Components",
+    path.join(home, "Library/Audio/Plug-Ins/VST3"),
+    path.join(home, "Library/Audio/Plug-Ins/Components"),
+  ],
+  linux: [
+    path.join(home, ".vst3"),
+    "/usr/lib/vst3",
+    "/usr/local/lib/vst3",
+  ],
+  win32: [
+    path.join(process.env.CommonProgramFiles || "C:\\Program Files\\Common Files", "VST3"),
+  ],
+};
+
+export function defaultPluginDirs(platform = process.platform) {
+  return PLATFORM_DIRS[platform] || [];
+}
+
+const expandHome = dir => (dir === "~" || dir.startsWith("~/") ? path.join(home, dir.slice(1)) : dir);
+
+// Search roots in priority order: --dir flags, PLUGIN_DIRS env var, config
+// file "pluginDirs", then the platform defaults. Duplicates are dropped.
+export function pluginRoots(extraDirs = []) {
+  const fromEnv = (process.env.PLUGIN_DIRS || "").split(path.delimiter).filter(Boolean);
+  const fromConfig = Array.isArray(config.pluginDirs) ? config.pluginDirs : [];
+  const roots = [...extraDirs, ...fromEnv, ...fromConfig, ...defaultPluginDirs()]
+    .map(d => path.resolve(expandHome(d)));
+  return [...new Set(roots)];
+}
+
+const isPluginBundle = name => PLUGIN_EXTENSIONS.some(ext => name.endsWith(ext));
+
+function isDirectory(fullPath, entry) {
+  if (entry.isDirectory()) return true;
+  if (!entry.isSymbolicLink()) return false;
+  try {
+    return fs.statSync(fullPath).isDirectory();
+  } catch {
+    return false; // dangling link
+  }
+}
+
+// Recursively collect plugin bundles under dir, without descending into them.
+export function findPlugins(dir, root = dir, seen = new Set()) {
+  let real;
+  try {
+    real = fs.realpathSync(dir);
+  } catch {
+    return [];
+  }
+  if (seen.has(real)) return [];
+  seen.add(real);
+
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    console.warn(`⚠️  Cannot read ${dir}:`, err.code || err.message);
+    return [];
+  }
+
+  const plugins = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (!isDirectory(fullPath, entry)) continue;
+    if (isPluginBundle(entry.name)) {
+      plugins.push({ path: fullPath, name: entry.name, root });
+    } else {
+      plugins.push(...findPlugins(fullPath, root, seen));
+    }
+  }
+  return plugins;
+}
+
+// Discover every plugin across all existing roots. Each result records the
+// root it was found under; a bundle reachable from two roots is kept once.
+export function discoverPlugins(extraDirs = []) {
+  const byPath = new Map();
+  for (const root of pluginRoots(extraDirs)) {
+    if (!fs.existsSync(root)) continue;
+    for (const plugin of findPlugins(root)) {
+      if (!byPath.has(plugin.path)) byPath.set(plugin.path, plugin);
+    }
+  }
+  return [...byPath.values()];
+}
@@ -0,0 +1,15 @@
+import fs from "fs";
+import { pathToFileURL } from "url";
+
+// Older entry points (`node seed.js ...`, `node index.js ...`) run a cli.js
+// command. cli.js imports those modules, so it is loaded once they have
+// finished, and errors are reported like cli.js's own.
+export function runAsMain(url, args = []) {
+  if (!process.argv[1] || url !== pathToFileURL(fs.realpathSync(process.argv[1])).href) return;
+  import("./cli.js").then(({ main }) => main([...args, ...process.argv.slice(2)])).then(code => {
+    process.exitCode = code;
+  }).catch(err => {
+    console.error("❌", err.message);
+    process.exitCode = 1;
+  });
+}
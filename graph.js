@@ -0,0 +1,125 @@
+import { formatNormalize } from "./levels.js";
+
+// Pipeline graph. A pipeline is a list of steps, each either a plugin step
+// ({ id, name, path, params, ... }) or a split:
+//
+//   { type: "split", branches: [{ gain: 0, steps: [...] }, ...] }
+//
+// Every branch processes the split's input on its own (an empty branch is
+// the dry signal); the branch outputs are summed with sox at their gains
+// (dB) and the mix feeds the next step. Branches may contain splits.
+//
+// A trim step ({ type: "trim", threshold, duration }) strips leading and
+// trailing silence with sox (see truncate_silence.js), e.g. as the last step
+// of a pipeline.
+//
+// Steps are addressed by dotted paths: "2" is top-level step 2, "2.1" is
+// branch 1 of the split at step 2, "2.1.3" is step 3 inside that branch.
+
+export const isSplit = step => step?.type === "split";
+export const isTrim = step => step?.type === "trim";
+export const isPlugin = step => !!step && !isSplit(step) && !isTrim(step);
+
+// Optional gain staging on plugin steps: mix (wet %, 0-100), gain (dB after
+// the mix) and normalize ({ mode, target }, see levels.js)
+export const STAGING_KEYS = ["mix", "gain", "normalize"];
+
+export const stepStaging = step =>
+  Object.fromEntries(STAGING_KEYS.filter(k => step[k] != null).map(k => [k, step[k]]));
+
+export function formatStaging(step) {
+  const parts = [];
+  if (step.mix != null) parts.push(`mix ${step.mix}%`);
+  if (step.gain != null) parts.push(formatGain(step.gain));
+  if (step.normalize) parts.push(`norm ${formatNormalize(step.normalize)}`);
+  return parts.join(", ");
+}
+
+export const createBranch = (gain = 0) => ({ gain, steps: [] });
+
+export const createSplit = (count = 2) => ({
+  type: "split",
+  branches: Array.from({ length: count }, () => createBranch()),
+});
+
+export const createTrim = ({ threshold, duration } = {}) => ({
+  type: "trim",
+  ...(threshold != null ? { threshold } : {}),
+  ...(duration != null ? { duration } : {}),
+});
+
+export const formatTrim = step =>
+  [step.threshold != null && `threshold ${step.threshold}`, step.duration != null && `min silence ${step.duration}s`].filter(Boolean).join(", ");
+
+// Short name for logs: plugin name, "split(N)" or "trim"
+export const stepName = step => isSplit(step) ? `split(${step.branches.length})` : isTrim(step) ? "trim" : step.name;
+
+export const dbToGain = db => Math.pow(10, db / 20);
+
+export const formatGain = db => `${db > 0 ? "+" : ""}${db} dB`;
+
+export function parsePath(text) {
+  if (!/^\d+(\.\d+)*$/.test(text || "")) return null;
+  const parts = text.split(".").map(n => parseInt(n, 10) - 1);
+  return parts.some(n => n < 0) ? null : parts;
+}
+
+const joinPath = parts => parts.map(n => n + 1).join(".");
+
+// Resolve a dotted path. Odd-length paths are steps -> { kind: "step", list,
+// index, step }; even-length paths are branches -> { kind: "branch", split,
+// index, branch, list } (list: the branch's steps). Errors -> { error }.
+export function locate(pipeline, text) {
+  const parts = parsePath(text);
+  if (!parts) return { error: `Invalid step: ${text}` };
+  let list = pipeline;
+  for (let i = 0; i < parts.length - 1; i += 2) {
+    const split = list[parts[i]];
+    if (!split) return { error: `No step ${joinPath(parts.slice(0, i + 1))}` };
+    if (!isSplit(split)) return { error: `Step ${joinPath(parts.slice(0, i + 1))} is not a split` };
+    const branch = split.branches[parts[i + 1]];
+    if (!branch) return { error: `No branch ${joinPath(parts.slice(0, i + 2))}` };
+    if (i + 2 === parts.length) return { kind: "branch", split, index: parts[i + 1], branch, list: branch.steps };
+    list = branch.steps;
+  }
+  const index = parts[parts.length - 1];
+  if (index >= list.length) return { error: `No step ${text}` };
+  return { kind: "step", list, index, step: list[index] };
+}
+
+// Every step and branch, depth first: { path, kind, step | branch, depth }
+export function walk(steps, prefix = "", depth = 0) {
+  return steps.flatMap((step, i) => {
+    const path = `${prefix}${i + 1}`;
+    const node = { path, kind: "step", step, depth };
+    if (!isSplit(step)) return [node];
+    return [node, ...step.branches.flatMap((branch, b) => [
+      { path: `${path}.${b + 1}`, kind: "branch", branch, depth: depth + 1 },
+      ...walk(branch.steps, `${path}.${b + 1}.`, depth + 2),
+    ])];
+  });
+}
+
+// Plugin steps only, in processing order
+export const pluginSteps = steps => walk(steps).filter(n => n.kind === "step" && isPlugin(n.step)).map(n => n.step);
+
+// Copy the graph with fn applied to every plugin step
+export const mapSteps = (steps, fn) => steps.map(step => isSplit(step)
+  ? { ...step, branches: step.branches.map(b => ({ ...b, steps: mapSteps(b.steps, fn) })) }
+  : isTrim(step) ? { ...step } : fn(step));
+
+// Lines for `ls`: indented tree with the path of each step and branch
+export function formatPipeline(steps) {
+  return walk(steps).map(({ path, kind, step, branch, depth }) => {
+    const indent = "   ".repeat(depth);
+    if (kind === "branch") return `${indent}${path} ${branch.steps.length ? "↳" : "↳ (dry)"} ${formatGain(branch.gain)}`;
+    if (isSplit(step)) return `${indent}${path}. ⑂ split into ${step.branches.length} branches, mixed with sox`;
+    if (isTrim(step)) return `${indent}${path}. ✂️  trim silence${formatTrim(step) ? ` (${formatTrim(step)})` : ""}`;
+    const staging = formatStaging(step);
+    return [
+      `${indent}${path}. [${step.id}] ${step.name}`,
+      step.params?.length ? `(params: ${step.params.join(", ")})` : "",
+      staging ? `[${staging}]` : "",
+    ].filter(Boolean).join(" ");
+  });
+}
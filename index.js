@@ -1,167 +1,156 @@
-import { execa } from "execa";
-import Database from "better-sqlite3";
-import readline from "readline";
-import fs from "fs";
-import path from "path";
+import { discoverPlugins } from "./discovery.js";
+import { bundleMetadata } from "./bundle.js";
+import { getDb } from "./db.js";
+import { hydrateParameter, validateValue } from "./params.js";
+import { pick } from "./randomize.js";
+import { Pipeline } from "./pipeline.js";
+import { parameterListing } from "./backends.js";
+import { runAsMain } from "./entry.js";
+
+// Programmatic API: build and run pipelines from other code
+export { Pipeline };
+
+// `Plugalyzer listParameters` output for a plugin path
+export async function listParameters(pluginPath) {
+  return parameterListing(pluginPath);
+}
 
-const db = new Database("plugins.db");
+// dirs: extra search roots, checked before the configured and platform defaults
+export async function scanPlugins(dirs = []) {
+  const insert = getDb().prepare(`
+    INSERT INTO plugins (path, name, root, vendor, version, format) VALUES (@path, @name, @root, @vendor, @version, @format)
+    ON CONFLICT(path) DO UPDATE SET
+      root=excluded.root, missing=0,
+      vendor=COALESCE(excluded.vendor, vendor),
+      version=COALESCE(excluded.version, version),
+      format=COALESCE(excluded.format, format)
+  `);
+  const found = discoverPlugins([].concat(dirs));
+  for (const p of found) insert.run({ ...p, ...bundleMetadata(p.path) });
+  return found;
+}
 
-db.exec(`
-  CREATE TABLE IF NOT EXISTS plugins (
-    id INTEGER PRIMARY KEY,
-    path TEXT UNIQUE,
-    name TEXT
-  );
-  CREATE TABLE IF NOT EXISTS parameters (
-    id INTEGER PRIMARY KEY,
-    plugin_id INTEGER,
-    param_index INTEGER,
-    name TEXT,
-    "values" TEXT,
-    default_value TEXT,
-    FOREIGN KEY(plugin_id) REFERENCES plugins(id)
-  );
-`);
+// rng: random source, e.g. createRng(seed) for a reproducible pick. The
+// built-in sox effects (see backends.js) only take part with includeSox.
+export function getRandomPlugin(rng = Math.random, { includeSox = false } = {}) {
+  const ids = getDb().prepare(`
+    SELECT id FROM plugins WHERE NOT quarantined AND NOT missing ${includeSox ? "" : "AND format IS NOT 'sox'"} ORDER BY id
+  `).pluck().all();
+  if (!ids.length) return undefined;
+  return getDb().prepare("SELECT * FROM plugins WHERE id = ?").get(pick(ids, rng));
+}
 
-const PLUGALYZER = "Plugalyzer";
+export function stripExtension(name) {
+  return name.replace(/\.(vst3|component)$/i, "");
+}
 
-export async function listParameters(pluginPath) {
-  const { stdout } = await execa(PLUGALYZER, ["listParameters", `--plugin`, pluginPath]);
-  return stdout;
+// Resolve "<id>" or "<plugin name>" at the start of text (names may contain
+// spaces; the longest matching name wins). Returns { plugin, rest } or null.
+export function resolvePluginRef(text) {
+  const db = getDb();
+  const idMatch = text.match(/^(\d+)(?:\s+|$)/);
+  if (idMatch) {
+    const plugin = db.prepare("SELECT * FROM plugins WHERE id = ?").get(parseInt(idMatch[1], 10));
+    return plugin ? { plugin, rest: text.slice(idMatch[0].length) } : null;
+  }
+  const lower = text.toLowerCase();
+  let best = null;
+  for (const plugin of db.prepare("SELECT * FROM plugins").all()) {
+    for (const name of [plugin.name, stripExtension(plugin.name)]) {
+      if (lower.startsWith(name.toLowerCase()) && /^(\s|$)/.test(text.slice(name.length))) {
+        if (!best || name.length > best.length) best = { plugin, length: name.length };
+      }
+    }
+  }
+  return best ? { plugin: best.plugin, rest: text.slice(best.length).trim() } : null;
 }
 
-export async function scanPlugins(dir = "/Library/Audio/Plug-Ins/VST3") {
-  const files = fs.readdirSync(dir).filter(f => f.endsWith(".vst3"));
-  for (const f of files) {
-    const pluginPath = `${dir}/${f}`;
-    db.prepare("INSERT OR IGNORE INTO plugins (path, name) VALUES (?, ?)").run(pluginPath, f);
+// Catalog plugins whose name contains `query`, optionally of one vendor
+// and format, with their parameter counts; missing and quarantined ones
+// only with { all: true }, the built-in sox effects only with { sox: true }
+// or { format: "sox" }
+export function listPlugins({ query, vendor, format, all = false, sox = false } = {}) {
+  const where = [];
+  const values = [];
+  if (!all) where.push("NOT p.missing AND NOT p.quarantined");
+  if (!sox && !format) where.push("p.format IS NOT 'sox'");
+  if (query) {
+    where.push("p.name LIKE ?");
+    values.push(`%${query}%`);
   }
+  if (vendor) {
+    where.push("lower(p.vendor) = lower(?)");
+    values.push(vendor);
+  }
+  if (format) {
+    where.push("lower(p.format) = lower(?)");
+    values.push(format);
+  }
+  return getDb().prepare(`
+    SELECT p.*, (SELECT COUNT(*) FROM parameters WHERE plugin_id = p.id) AS parameters
+    FROM plugins p
+    ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY p.name COLLATE NOCASE, p.id
+  `).all(...values);
 }
 
-export function getRandomPlugin() {
-  return db.prepare("SELECT * FROM plugins ORDER BY RANDOM() LIMIT 1").get();
+// Parameters whose name contains `query`, across the catalog or for one
+// plugin, with the plugin's name
+export function searchParameters({ query, pluginId, limit = 100 } = {}) {
+  const where = ["NOT pl.missing"];
+  const values = [];
+  if (query) {
+    where.push("p.name LIKE ?");
+    values.push(`%${query}%`);
+  }
+  if (pluginId != null) {
+    where.push("p.plugin_id = ?");
+    values.push(pluginId);
+  }
+  return getDb().prepare(`
+    SELECT p.*, pl.name AS plugin_name FROM parameters p
+    JOIN plugins pl ON pl.id = p.plugin_id
+    WHERE ${where.join(" AND ")}
+    ORDER BY pl.name COLLATE NOCASE, p.param_index
+    LIMIT ?
+  `).all(...values, limit).map(hydrateParameter);
 }
 
-export function getParameters(plugin_id) {
-  return db
+// Usable (non-text) parameters by default; { all: true } includes every row
+export function getParameters(plugin_id, { all = false } = {}) {
+  return getDb()
     .prepare(
       `SELECT * FROM parameters
        WHERE plugin_id = ?
-         AND "values" IS NOT NULL
-         AND TRIM("values") != ''
-         AND TRIM("values") != 'to'`
+         ${all ? "" : "AND kind IS NOT NULL AND kind != 'text'"}
+       ORDER BY param_index`
     )
-    .all(plugin_id);
+    .all(plugin_id)
+    .map(hydrateParameter);
 }
 
-function randomValue(valuesStr) {
-  const m = valuesStr.match(/(-?\d+\.?\d*)\s*to\s*(-?\d+\.?\d*)/);
-  if (m) {
-    const min = parseFloat(m[1]);
-    const max = parseFloat(m[2]);
-    return (Math.random() * (max - min) + min).toFixed(2) + (valuesStr.includes("%") ? "%" : "");
-  }
-  const options = valuesStr.split(" to ");
-  return options[Math.floor(Math.random() * options.length)];
+// Look a parameter up by name (case-insensitive) or by param_index
+export function findParam(params, key) {
+  key = String(key).trim();
+  return (
+    params.find(p => p.name.toLowerCase() === key.toLowerCase()) ||
+    (/^\d+$/.test(key) ? params.find(p => p.param_index === parseInt(key, 10)) : undefined)
+  );
 }
 
-// ---------------- CLI ENTRY ----------------
-if (import.meta.url === `file://${process.argv[1]}`) {
-  const args = process.argv.slice(2);
-  const inputIdx = args.indexOf("--input");
-  const overwriteIdx = args.indexOf("--overwrite");
-  const outputIdx = args.indexOf("--output");
-  const pluginIdx = args.indexOf("--plugin");
-  const recurseIdx = args.indexOf("--recurse");
-  const randomFlag = args.includes("--random");
-
-  // Parse fixed --param values
-  const paramIndices = [];
-  args.forEach((arg, idx) => { if (arg === "--param") paramIndices.push(idx); });
-  const fixedParams = paramIndices.map(idx => {
-    const kv = args[idx + 1];
-    if (!kv.includes(":")) {
-      console.error(`❌ Invalid --param value: ${kv}. Must be key:value`);
-      process.exit(1);
-    }
-    return `--param=${kv}`;
-  });
-
-  let recurseCount = 1;
-  if (recurseIdx !== -1) {
-    recurseCount = parseInt(args[recurseIdx + 1], 10) || 1;
-  }
-
-  (async () => {
-    let plugin;
-
-    if (randomFlag || pluginIdx === -1) {
-      plugin = getRandomPlugin();
-    } else {
-      const pluginPath = args[pluginIdx + 1];
-      plugin = db.prepare("SELECT * FROM plugins WHERE path = ?").get(pluginPath);
-    }
-
-    if (!plugin) {
-      console.error("No plugin found!");
-      process.exit(1);
-    }
-
-    console.log(`🎲 Using plugin: ${plugin.name}`);
-
-    const params = getParameters(plugin.id);
-    const paramArgs = fixedParams.length ? fixedParams : params.map(p => `--param=${p.name}:${randomValue(p.values)}`);
-
-    let currentInput = inputIdx !== -1 ? args[inputIdx + 1] : null;
-    if (!currentInput) {
-      console.error("No input file specified!");
-      process.exit(1);
-    }
-
-    const outputBase = outputIdx !== -1 ? args[outputIdx + 1] : "out.wav";
-
-    for (let i = 0; i < recurseCount; i++) {
-      const outputFile = path.join(
-        path.dirname(outputBase),
-        `${path.basename(outputBase, path.extname(outputBase))}_${i}${path.extname(outputBase)}`
-      );
-
-
-      let overwrite = overwriteIdx !== -1;
-      // Check if output exists and ask user
-      if (!overwrite && fs.existsSync(outputFile)) {
-        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-        const answer = await new Promise(resolve => rl.question(`⚠️ Output file "${outputFile}" exists. Overwrite? (y/n): `, resolve));
-        rl.close();
-        if (!answer.toLowerCase().startsWith("y")) {
-          console.log("❌ Aborted by user");
-          process.exit(0);
-        }
-        overwrite = true;
-      }
-
-      const cmdArgs = [
-        "process",
-        `--plugin=${plugin.path}`,
-        `--input=${currentInput}`,
-        `--output=${outputFile}`,
-        ...(overwrite ? ["--overwrite"] : []),
-        ...paramArgs
-      ];
-
-      console.log(`🔹 Recursion step ${i + 1}: execa command:`);
-      console.log(PLUGALYZER, cmdArgs.map(a => `"${a}"`).join(" "));
-
-      try {
-        await execa(PLUGALYZER, cmdArgs, { stdio: "inherit" });
-      } catch (err) {
-        console.error(`❌ Failed at recursion step ${i + 1}:`, err.shortMessage || err.message);
-        process.exit(1);
-      }
-
-      currentInput = outputFile; // next input
-    }
-
-    console.log("🎉 Recursive processing finished!");
-  })();
+// Match "name:value" against a plugin's parameters and validate the value
+// against its range / options.
+export function resolveParam(params, kv) {
+  const sep = kv.indexOf(":");
+  const key = kv.slice(0, sep).trim();
+  const raw = kv.slice(sep + 1);
+  const param = findParam(params, key);
+  if (!param) return { ok: false, error: `unknown parameter "${key}"` };
+  const result = validateValue(param, raw);
+  if (!result.ok) return { ok: false, error: `${param.name}: ${result.error}` };
+  return { ok: true, param, value: result.value };
 }
+
+// ---------------- CLI ENTRY ----------------
+// `node index.js ...` is the same as `plugalyzer process ...` (see cli.js)
+runAsMain(import.meta.url, ["process"]);
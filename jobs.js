@@ -0,0 +1,240 @@
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import { config } from "./config.js";
+import { getDb } from "./db.js";
+import { readWavInfo, useAnalysisWorker } from "./analysis.js";
+import { Pipeline } from "./pipeline.js";
+import { parsePipelineFile, resolvePipelineFile } from "./pipeline_file.js";
+import { CACHE_DEFAULTS } from "./cache.js";
+
+// Render jobs: pipeline files (see pipeline_file.js) submitted through the
+// HTTP server and run a few at a time. Jobs are rows in the jobs table, so
+// the queue survives a restart; jobs that were running when the process
+// stopped are queued again.
+//
+// Events: "job" (a job whose status changed) and "progress" ({ id, type,
+// event } for every Pipeline event of a running job: start, pass, step,
+// log, done).
+
+export const JOB_STATUSES = ["queued", "running", "done", "failed", "cancelled"];
+
+// "serverJobs" in the config file: renders at once
+export const JOB_DEFAULTS = {
+  concurrency: config.serverJobs ?? 1,
+  outputDir: path.join(CACHE_DEFAULTS.workDir, "jobs"),
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+export const isFinished = job => job.status !== "queued" && job.status !== "running";
+
+// Jobs read files on this machine and their outputs can be downloaded, so
+// inputs must be WAV files (the dry-run backend copies the input through).
+// Returns an error message or null.
+function inputError(file) {
+  if (!/\.wav$/i.test(file)) return `input must be a .wav file: ${file}`;
+  if (!fs.existsSync(file)) return `No such input file: ${file}`;
+  try {
+    readWavInfo(file);
+  } catch (err) {
+    return `Invalid input: ${err.message}`;
+  }
+  return null;
+}
+
+const toJob = row => row && {
+  id: row.id,
+  status: row.status,
+  input: row.input,
+  output: row.output,
+  recurse: row.recurse,
+  render: row.render_id,
+  error: row.error,
+  progress: row.progress ? JSON.parse(row.progress) : null,
+  pipeline: JSON.parse(row.pipeline),
+  created_at: row.created_at,
+  started_at: row.started_at,
+  finished_at: row.finished_at,
+};
+
+export class JobQueue extends EventEmitter {
+  // outputDir: where outputs go when neither the job nor its pipeline names
+  // one (<outputDir>/<id>/<input name>.wav); cache: a step cache (cache.js)
+  constructor({ concurrency = JOB_DEFAULTS.concurrency, outputDir = JOB_DEFAULTS.outputDir, cache = null } = {}) {
+    super();
+    this.concurrency = concurrency;
+    this.outputDir = path.resolve(outputDir);
+    this.cache = cache;
+    this.active = new Map(); // id -> AbortController
+    this.started = false;
+  }
+
+  // Validate and queue a job: { pipeline, input, output, vars, recurse },
+  // where pipeline is a pipeline file as an object or as YAML/JSON text and
+  // the rest override it. Outputs stay inside outputDir: `output` is a path
+  // relative to it, the pipeline's own output is ignored, and existing files
+  // are never overwritten. Inputs must be WAV files (see inputError).
+  // Returns { job, warnings } or { errors }.
+  submit({ pipeline, input, output, vars = {}, recurse } = {}) {
+    let doc = pipeline;
+    try {
+      if (typeof doc === "string") doc = parsePipelineFile(doc, "pipeline");
+    } catch (err) {
+      return { errors: [err.message] };
+    }
+    if (!doc || typeof doc !== "object" || Array.isArray(doc)) return { errors: ["pipeline must be a pipeline file (an object, or YAML/JSON text)"] };
+    if (vars === null || typeof vars !== "object" || Array.isArray(vars)) return { errors: ["vars must be an object"] };
+
+    let target = null;
+    if (output != null) {
+      if (typeof output !== "string" || !output.trim() || path.isAbsolute(output) || output.split(/[\\/]/).includes("..")) {
+        return { errors: [`output must be a path inside the job output directory, without "..": ${JSON.stringify(output)}`] };
+      }
+      target = path.join(this.outputDir, output);
+      if (fs.existsSync(target)) return { errors: [`output already exists: ${output}`] };
+    }
+
+    const warnings = [];
+    if (doc.output != null) {
+      warnings.push("the pipeline's output is ignored: jobs write inside the server's output directory (set output on the job to name the file)");
+      doc = { ...doc, output: undefined };
+    }
+    const resolved = resolvePipelineFile(doc, { vars, input, output: target ?? undefined, recurse });
+    if (resolved.errors.length) return { errors: resolved.errors };
+    if (!resolved.input) return { errors: ["No input: set input in the job or in the pipeline"] };
+    const invalid = inputError(resolved.input);
+    if (invalid) return { errors: [invalid] };
+
+    const db = getDb();
+    const id = Number(db.prepare(`
+      INSERT INTO jobs (status, pipeline, steps, input, output, recurse, created_at)
+      VALUES ('queued', ?, ?, ?, ?, ?, ?)
+    `).run(JSON.stringify(doc), JSON.stringify(resolved.pipeline), resolved.input, resolved.output, resolved.recurse, now()).lastInsertRowid);
+    if (!resolved.output) {
+      const name = `${path.basename(resolved.input, path.extname(resolved.input))}.wav`;
+      db.prepare(`UPDATE jobs SET output = ? WHERE id = ?`).run(path.join(this.outputDir, String(id), name), id);
+    }
+    const job = this.get(id);
+    this.emit("job", job);
+    this.pump();
+    return { job, warnings: [...warnings, ...resolved.warnings] };
+  }
+
+  get(id) {
+    return toJob(getDb().prepare(`SELECT * FROM jobs WHERE id = ?`).get(id));
+  }
+
+  // Newest first
+  list({ status, limit = 50 } = {}) {
+    const rows = status
+      ? getDb().prepare(`SELECT * FROM jobs WHERE status = ? ORDER BY id DESC LIMIT ?`).all(status, limit)
+      : getDb().prepare(`SELECT * FROM jobs ORDER BY id DESC LIMIT ?`).all(limit);
+    return rows.map(toJob);
+  }
+
+  counts() {
+    const counts = Object.fromEntries(JOB_STATUSES.map(s => [s, 0]));
+    for (const { status, n } of getDb().prepare(`SELECT status, COUNT(*) AS n FROM jobs GROUP BY status`).all()) counts[status] = n;
+    return counts;
+  }
+
+  // Cancel a queued or running job. Returns { job } or { error }.
+  cancel(id) {
+    const job = this.get(id);
+    if (!job) return { error: `No job ${id}` };
+    if (isFinished(job)) return { error: `Job ${id} is already ${job.status}` };
+    if (job.status === "running") {
+      this.active.get(id)?.abort();
+      return { job };
+    }
+    this.finish(id, { status: "cancelled", error: "cancelled" });
+    return { job: this.get(id) };
+  }
+
+  // Requeue jobs left running by a previous process and start working.
+  // Partial outputs go, when the job had got as far as writing them.
+  start() {
+    const db = getDb();
+    for (const { output } of db.prepare(`SELECT output FROM jobs WHERE status = 'running' AND owns_output`).all()) fs.rmSync(output, { force: true });
+    db.prepare(`UPDATE jobs SET status = 'queued', started_at = NULL, progress = NULL, owns_output = 0 WHERE status = 'running'`).run();
+    this.started = true;
+    useAnalysisWorker();
+    this.pump();
+  }
+
+  // Stop taking jobs and abort the running ones, which go back to the queue.
+  // Resolves once they have wound down.
+  async stop() {
+    this.started = false;
+    const running = [...this.active.values()];
+    for (const controller of running) {
+      controller.requeue = true;
+      controller.abort();
+    }
+    await Promise.all(running.map(c => c.finished));
+  }
+
+  pump() {
+    while (this.started && this.active.size < this.concurrency) {
+      const row = getDb().prepare(`SELECT * FROM jobs WHERE status = 'queued' ORDER BY id LIMIT 1`).get();
+      if (!row) return;
+      const controller = new AbortController();
+      this.active.set(row.id, controller);
+      getDb().prepare(`UPDATE jobs SET status = 'running', started_at = ?, error = NULL, progress = NULL WHERE id = ?`).run(now(), row.id);
+      this.emit("job", this.get(row.id));
+      controller.finished = this.run(row, controller);
+    }
+  }
+
+  async run(row, controller) {
+    const { id } = row;
+    let result;
+    try {
+      const pipeline = Pipeline.fromJSON(row.steps);
+      for (const type of ["start", "pass", "log", "done"]) {
+        pipeline.on(type, event => this.emit("progress", { id, type, event }));
+      }
+      pipeline.on("step", event => {
+        const { pass, label, name, status } = event;
+        getDb().prepare(`UPDATE jobs SET progress = ? WHERE id = ?`).run(JSON.stringify({ pass, recurse: row.recurse, step: label, name, status }), id);
+        this.emit("progress", { id, type: "step", event });
+      });
+      const invalid = inputError(row.input);
+      if (invalid) throw new Error(invalid);
+      if (fs.existsSync(row.output)) throw new Error(`Output already exists: ${row.output}`);
+      fs.mkdirSync(path.dirname(row.output), { recursive: true });
+      getDb().prepare(`UPDATE jobs SET owns_output = 1 WHERE id = ?`).run(id);
+      result = await pipeline.run({
+        input: row.input,
+        output: row.output,
+        recurse: row.recurse,
+        signal: controller.signal,
+        cache: this.cache,
+        source: "server",
+      });
+    } catch (err) {
+      result = { ok: false, error: err.message };
+    }
+
+    this.active.delete(id);
+    if (controller.requeue) {
+      if (getDb().prepare(`SELECT owns_output FROM jobs WHERE id = ?`).get(id).owns_output) fs.rmSync(row.output, { force: true });
+      getDb().prepare(`UPDATE jobs SET status = 'queued', started_at = NULL, progress = NULL, owns_output = 0 WHERE id = ?`).run(id);
+      this.emit("job", this.get(id));
+      return;
+    }
+    this.finish(id, {
+      status: result.ok ? "done" : result.cancelled ? "cancelled" : "failed",
+      error: result.ok ? null : result.error,
+      render: result.render,
+    });
+    this.pump();
+  }
+
+  finish(id, { status, error = null, render = null }) {
+    getDb().prepare(`UPDATE jobs SET status = ?, error = ?, render_id = ?, finished_at = ? WHERE id = ?`)
+      .run(status, error, render ?? null, now(), id);
+    this.emit("job", this.get(id));
+  }
+}
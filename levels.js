@@ -0,0 +1,53 @@
+import { config } from "./config.js";
+import { analyzeAsync } from "./analysis.js";
+
+// Gain staging helpers: level measurement (analysis.js), normalization
+// targets and the safety limiter used to keep recursive runs from clipping
+// or fading out.
+
+export const NORMALIZE_MODES = ["peak", "rms", "lufs"];
+export const NORMALIZE_TARGETS = { peak: -1, rms: -18, lufs: -16 };
+
+// Safety limiter for recursive runs: brickwall ceiling (dBFS) and the peak
+// level below which a pass counts as decayed into silence
+export const LIMITER_DEFAULTS = {
+  ceiling: config.limiterCeiling ?? -0.3,
+  silenceFloor: config.silenceFloor ?? -80,
+};
+
+// "peak", "rms:-20", "lufs:-14" -> { mode, target }; "off" -> null
+export function parseNormalize(text) {
+  if (/^(off|none)$/i.test(text)) return null;
+  const [mode, target] = text.toLowerCase().split(":");
+  if (!NORMALIZE_MODES.includes(mode)) throw new Error(`Unknown normalization "${mode}" (use ${NORMALIZE_MODES.join(", ")} or off)`);
+  if (target === undefined || target === "") return { mode, target: NORMALIZE_TARGETS[mode] };
+  const value = parseFloat(target);
+  if (isNaN(value) || value > 0) throw new Error(`Invalid ${mode} target: ${target} (dBFS/LUFS, at most 0)`);
+  return { mode, target: value };
+}
+
+export const formatNormalize = n => n ? `${n.mode} ${n.target} ${n.mode === "lufs" ? "LUFS" : "dB"}` : "off";
+
+// "-0.3", "-1dB" -> number; "off" -> null
+export function parseCeiling(text) {
+  if (/^(off|none)$/i.test(text)) return null;
+  const value = parseFloat(String(text).replace(/db$/i, ""));
+  if (isNaN(value) || value > 0) throw new Error(`Invalid limiter ceiling: ${text} (dBFS, at most 0)`);
+  return value;
+}
+
+// Peak and RMS level in dBFS (-Infinity for digital silence)
+export const measureLevels = file => analyzeAsync("levels", file);
+
+// sox effect args that bring `file` to the normalization target. Peak uses
+// sox's own normalizer; RMS/LUFS are measured first and get a plain gain with
+// sox's limiter engaged against overs. Returns null for silent files.
+export async function normalizeEffect(file, { mode, target }) {
+  if (mode === "peak") return ["gain", "-n", String(target)];
+  const level = mode === "rms" ? (await measureLevels(file)).rms_db : (await analyzeAsync("file", file)).lufs;
+  if (!isFinite(level)) return null;
+  return ["gain", "-l", (target - level).toFixed(2)];
+}
+
+// Brickwall-style compand: unity below the ceiling, flat above it
+export const limiterEffect = ceiling => ["compand", "0,0.05", `-90,-90,${ceiling},${ceiling},20,${ceiling}`];
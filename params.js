@@ -0,0 +1,240 @@
+// Typed parameter model, parsed from the free-text "Values:" / "Default:"
+// lines that `Plugalyzer listParameters` prints.
+//
+//   kind          "continuous" | "enum" | "boolean" | "text"
+//   min_value     lower bound (continuous only, in `unit`; may be -Infinity)
+//   max_value     upper bound (continuous only, in `unit`)
+//   unit          "dB", "%", "Hz", "ms", ... or null
+//   options       option labels (enum / boolean)
+//   default_norm  default position within the range, 0..1
+//   steps         number of distinct values, null when continuous
+
+export const KINDS = ["continuous", "enum", "boolean", "text"];
+
+const BOOLEAN_PAIRS = [
+  ["off", "on"],
+  ["false", "true"],
+  ["no", "yes"],
+  ["disabled", "enabled"],
+  ["disable", "enable"],
+  ["inactive", "active"],
+  ["bypassed", "active"],
+];
+
+// Units that differ between the two ends of a range ("20 Hz to 20.0 kHz")
+// are converted to a common base unit.
+const UNIT_BASE = {
+  hz: ["Hz", 1],
+  khz: ["Hz", 1000],
+  ms: ["ms", 1],
+  s: ["ms", 1000],
+  sec: ["ms", 1000],
+};
+
+// Stand-in for "-inf dB" when a finite number is needed (random draws).
+const DB_FLOOR = -96;
+
+const clamp01 = x => Math.min(1, Math.max(0, x));
+
+// "-12.5 dB" -> { value: -12.5, unit: "dB" }; null when not numeric
+export function parseQuantity(text) {
+  const m = String(text ?? "").trim().match(/^([-+]?(?:inf|\d+(?:\.\d+)?|\.\d+))\s*(.*)$/i);
+  if (!m) return null;
+  const value = /inf/i.test(m[1]) ? (m[1].startsWith("-") ? -Infinity : Infinity) : parseFloat(m[1]);
+  const unit = m[2].trim() || null;
+  if (unit && /\d/.test(unit)) return null; // "2x4", "1/8 + 1/16" etc. are labels
+  return { value, unit };
+}
+
+// The quantity in `unit`; null when its unit is neither that nor convertible
+// to it (a bare number is taken to be in `unit`)
+function toBase(quantity, unit) {
+  if (!quantity.unit || quantity.unit.toLowerCase() === unit?.toLowerCase()) return quantity.value;
+  const from = UNIT_BASE[quantity.unit.toLowerCase()];
+  const to = unit && UNIT_BASE[unit.toLowerCase()];
+  if (!from || !to || from[0] !== to[0]) return null;
+  return (quantity.value * from[1]) / to[1];
+}
+
+function commonUnit(a, b) {
+  if (!a.unit || !b.unit || a.unit === b.unit) return a.unit || b.unit;
+  const ua = UNIT_BASE[a.unit.toLowerCase()];
+  const ub = UNIT_BASE[b.unit.toLowerCase()];
+  return ua && ub && ua[0] === ub[0] ? ua[0] : a.unit;
+}
+
+const booleanPair = options => {
+  if (options.length !== 2) return false;
+  const lower = options.map(o => o.toLowerCase());
+  return BOOLEAN_PAIRS.some(([f, t]) => lower[0] === f && lower[1] === t);
+};
+
+function optionModel(options, defaultText) {
+  const idx = options.findIndex(o => o.toLowerCase() === String(defaultText ?? "").trim().toLowerCase());
+  return {
+    kind: booleanPair(options) ? "boolean" : "enum",
+    min_value: null,
+    max_value: null,
+    unit: null,
+    options,
+    default_norm: options.length > 1 && idx >= 0 ? idx / (options.length - 1) : 0,
+    steps: options.length,
+  };
+}
+
+const TEXT_MODEL = { kind: "text", min_value: null, max_value: null, unit: null, options: null, default_norm: null, steps: null };
+
+export function parseParameter({ values, default_value } = {}) {
+  const text = String(values ?? "").trim();
+  if (!text || text === "to") return { ...TEXT_MODEL };
+
+  const range = text.match(/^(.*?)\s+to\s+(.*)$/);
+  if (range) {
+    const lo = parseQuantity(range[1]);
+    const hi = parseQuantity(range[2]);
+    if (lo && hi && Number.isFinite(hi.value) && lo.value !== Infinity) {
+      const unit = commonUnit(lo, hi);
+      // listings are taken as printed, even when their units don't agree
+      const min = toBase(lo, unit) ?? lo.value;
+      const max = toBase(hi, unit) ?? hi.value;
+      const def = parseQuantity(default_value);
+      const defValue = def ? toBase(def, unit) ?? def.value : min;
+      const floor = Number.isFinite(min) ? min : Math.min(DB_FLOOR, max);
+      // small unitless integer ranges ("1 to 16") are stepped, e.g. voice counts
+      const integral = !unit && Number.isInteger(min) && Number.isInteger(max) &&
+        !/\./.test(range[1] + range[2]) && max > min && max - min < 128;
+      return {
+        kind: "continuous",
+        min_value: min,
+        max_value: max,
+        unit,
+        options: null,
+        default_norm: max > floor ? clamp01((defValue - floor) / (max - floor)) : null,
+        steps: integral ? max - min + 1 : null,
+      };
+    }
+  }
+
+  if (text.includes(", ")) {
+    return optionModel(text.split(", ").map(o => o.trim()).filter(Boolean), default_value);
+  }
+
+  if (range && range[1].trim() && range[2].trim()) {
+    // Only the two end labels are known ("Off to On", "Stereo to Mono")
+    return optionModel([range[1].trim(), range[2].trim()], default_value);
+  }
+
+  return { ...TEXT_MODEL };
+}
+
+// Parameter row from the database -> model with options decoded
+export function hydrateParameter(row) {
+  if (!row) return row;
+  let options = row.options;
+  if (typeof options === "string") {
+    try {
+      options = JSON.parse(options);
+    } catch {
+      options = null;
+    }
+  }
+  return { ...row, options };
+}
+
+// Model fields as stored in the parameters table
+export const toColumns = model => ({
+  kind: model.kind,
+  min_value: model.min_value,
+  max_value: model.max_value,
+  unit: model.unit,
+  options: model.options ? JSON.stringify(model.options) : null,
+  default_norm: model.default_norm,
+  steps: model.steps,
+});
+
+const finiteMin = p => (Number.isFinite(p.min_value) ? p.min_value : Math.min(DB_FLOOR, p.max_value));
+
+const round = (p, value) => (p.steps ? Math.round(value) : Number(value.toFixed(2)));
+
+// Text passed to `--param=name:<value>`
+export function formatValue(p, value) {
+  if (p.kind === "continuous") {
+    if (value === -Infinity) return `-inf${p.unit ? ` ${p.unit}` : ""}`;
+    const n = round(p, value);
+    if (!p.unit) return `${n}`;
+    return p.unit === "%" ? `${n}%` : `${n} ${p.unit}`;
+  }
+  if (p.kind === "enum" || p.kind === "boolean") {
+    return typeof value === "number" ? p.options[value] : value;
+  }
+  return String(value);
+}
+
+// Value at normalized position x (0..1) within the parameter's range
+export function valueAt(p, x) {
+  x = clamp01(x);
+  if (p.kind === "continuous") {
+    const min = finiteMin(p);
+    return formatValue(p, min + x * (p.max_value - min));
+  }
+  if (p.kind === "enum" || p.kind === "boolean") {
+    return formatValue(p, Math.min(p.options.length - 1, Math.floor(x * p.options.length)));
+  }
+  return null;
+}
+
+export function randomValue(p, rng = Math.random) {
+  return valueAt(p, rng());
+}
+
+export function defaultValue(p) {
+  if (p.default_value) return p.default_value;
+  return p.default_norm == null ? null : valueAt(p, p.default_norm);
+}
+
+const BOOLEAN_WORDS = { on: 1, true: 1, yes: 1, "1": 1, off: 0, false: 0, no: 0, "0": 0 };
+
+// Check a user-supplied value against the model. Returns
+// { ok: true, value } with the text to hand to Plugalyzer, or { ok: false, error }.
+export function validateValue(p, input) {
+  const text = String(input ?? "").trim();
+  if (!text) return { ok: false, error: "empty value" };
+
+  switch (p.kind) {
+    case "continuous": {
+      const q = parseQuantity(text);
+      const v = q && toBase(q, p.unit);
+      if (v == null) return { ok: false, error: `expected a number${p.unit ? ` in ${p.unit}` : ""}` };
+      if (v < p.min_value || v > p.max_value) {
+        return { ok: false, error: `out of range ${formatValue(p, p.min_value)} … ${formatValue(p, p.max_value)}` };
+      }
+      return { ok: true, value: formatValue(p, v) };
+    }
+    case "enum":
+    case "boolean": {
+      let idx = p.options.findIndex(o => o.toLowerCase() === text.toLowerCase());
+      if (idx === -1 && p.kind === "boolean" && text.toLowerCase() in BOOLEAN_WORDS) {
+        idx = BOOLEAN_WORDS[text.toLowerCase()];
+      }
+      if (idx === -1) return { ok: false, error: `expected one of: ${p.options.join(", ")}` };
+      return { ok: true, value: formatValue(p, idx) };
+    }
+    default:
+      return { ok: true, value: text };
+  }
+}
+
+// One-line summary for listings: "continuous -60 dB … 12 dB"
+export function describeParameter(p) {
+  switch (p.kind) {
+    case "continuous": {
+      return `continuous ${formatValue(p, p.min_value)} … ${formatValue(p, p.max_value)}${p.steps ? ` (${p.steps} steps)` : ""}`;
+    }
+    case "enum":
+      return `enum: ${p.options.join(" | ")}`;
+    case "boolean":
+      return `boolean: ${p.options.join("/")}`;
+    default:
+      return `text${p.values ? `: ${p.values}` : ""}`;
+  }
+}
@@ -0,0 +1,148 @@
+import { EventEmitter } from "events";
+import { formatPipeline, isSplit, locate, pluginSteps } from "./graph.js";
+import { runChain } from "./runner.js";
+
+// Programmatic pipeline: a step graph (see graph.js) plus pass settings,
+// editable by dotted step path and runnable with progress events.
+//
+//   const pipeline = new Pipeline();
+//   pipeline.add({ ...plugin, params: ["Gain:-3 dB"] });
+//   pipeline.on("step", e => console.log(e.label, e.status));
+//   const result = await pipeline.run({ input: "in.wav", output: "out.wav", signal });
+//
+// Events: "start" { input, output, recurse }, "pass" and "step" (see
+// runChain), "log" (one console line), "done" (the run's result).
+
+export const PIPELINE_VERSION = 1;
+
+export class Pipeline extends EventEmitter {
+  // normalize: end-of-pass normalization ({ mode, target }, see levels.js)
+  // limit: limiter ceiling in dBFS, null for off, undefined for the default
+  constructor({ steps = [], normalize = null, limit } = {}) {
+    super();
+    this.steps = steps;
+    this.normalize = normalize;
+    this.limit = limit;
+  }
+
+  get length() {
+    return this.steps.length;
+  }
+
+  // Plugin steps only, in processing order
+  get plugins() {
+    return pluginSteps(this.steps);
+  }
+
+  // See locate in graph.js; errors come back as { error }
+  locate(path) {
+    return locate(this.steps, path);
+  }
+
+  // The step or branch at a dotted path; throws when there is none
+  get(path) {
+    const found = this.locate(path);
+    if (found.error) throw new Error(found.error);
+    return found.kind === "branch" ? found.branch : found.step;
+  }
+
+  // Append a step, to a branch ("2.1") when `to` is given. Returns its path.
+  add(step, { to } = {}) {
+    let list = this.steps;
+    if (to) {
+      const found = this.locate(to);
+      if (found.error) throw new Error(found.error);
+      if (found.kind !== "branch") throw new Error(`${to} is not a branch (use <step>.<branch>)`);
+      list = found.list;
+    }
+    list.push(step);
+    return `${to ? `${to}.` : ""}${list.length}`;
+  }
+
+  // Remove the step or branch at `path` and return it
+  remove(path) {
+    const found = this.locate(path);
+    if (found.error) throw new Error(found.error);
+    if (found.kind === "branch") {
+      if (found.split.branches.length === 1) throw new Error("A split needs at least one branch (remove the split instead)");
+      return found.split.branches.splice(found.index, 1)[0];
+    }
+    return found.list.splice(found.index, 1)[0];
+  }
+
+  // Merge changes into the step or branch at `path`; null/undefined values
+  // unset a field. Returns the updated step or branch.
+  update(path, changes) {
+    const target = this.get(path);
+    if (isSplit(target) && "params" in changes) throw new Error(`Step ${path} is a split`);
+    for (const [key, value] of Object.entries(changes)) {
+      if (value == null) delete target[key];
+      else target[key] = value;
+    }
+    return target;
+  }
+
+  clear() {
+    this.steps = [];
+  }
+
+  // Lines for display, as the REPL's `ls`
+  format() {
+    return formatPipeline(this.steps);
+  }
+
+  toJSON() {
+    return {
+      version: PIPELINE_VERSION,
+      steps: this.steps,
+      normalize: this.normalize,
+      ...(this.limit !== undefined ? { limit: this.limit } : {}),
+    };
+  }
+
+  // From toJSON() output, as an object or a JSON string
+  static fromJSON(data) {
+    const json = typeof data === "string" ? JSON.parse(data) : data;
+    if ((json.version ?? 1) > PIPELINE_VERSION) throw new Error(`Pipeline v${json.version} is newer than this code (v${PIPELINE_VERSION})`);
+    return new Pipeline({
+      steps: structuredClone(json.steps || []),
+      normalize: json.normalize ?? null,
+      limit: json.limit,
+    });
+  }
+
+  // Run the pipeline once (recorded as a render). Other options go to
+  // runChain: cache, backend, seed, source, outputFor, overwrite, stdio, analyze,
+  // verbose, and normalize/limit to override the pipeline's own.
+  // Returns { ok, cancelled, output, render, error, duration_ms, stats, manifest }.
+  async run({ input, output = `out_${Date.now()}.wav`, recurse = 1, signal, ...options } = {}) {
+    if (!this.steps.length) throw new Error("Pipeline is empty");
+    if (!input) throw new Error("No input file given");
+    this.emit("start", { input, output, recurse });
+    const { ok, cancelled, output: written, manifest } = await runChain({
+      normalize: this.normalize,
+      ...(this.limit !== undefined ? { limit: this.limit } : {}),
+      source: "api",
+      ...options,
+      steps: this.steps,
+      input,
+      output,
+      recurse,
+      signal,
+      onProgress: event => this.emit(event.type, event),
+      log: (...args) => this.emit("log", args.join(" ")),
+    });
+    const result = {
+      ok,
+      cancelled,
+      output: written,
+      render: manifest.id,
+      error: manifest.error,
+      duration_ms: manifest.duration_ms,
+      stats: manifest.stats || null,
+      manifest,
+    };
+    this.emit("done", result);
+    return result;
+  }
+}
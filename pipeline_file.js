@@ -0,0 +1,348 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { getDb } from "./db.js";
+import { getParameters, resolveParam, stripExtension } from "./index.js";
+import { Pipeline } from "./pipeline.js";
+import { createTrim, isSplit, isTrim } from "./graph.js";
+import { paramMap } from "./step_params.js";
+import { parseCeiling, parseNormalize } from "./levels.js";
+import { parseThreshold } from "./truncate_silence.js";
+import { runAsMain } from "./entry.js";
+
+// Pipeline files: a pipeline written down as YAML or JSON (JSON is read as
+// YAML, so either may carry # comments; strict JSON can use "comment" keys
+// anywhere). pipeline.schema.json has the full schema.
+//
+//   version: 1
+//   description: Crushed, then a wet/dry split
+//   vars:
+//     drive: -6
+//     takes: /audio/takes
+//   input: ${takes}/dry.wav            # --input overrides
+//   output: ${input_name}_crushed.wav  # --output overrides
+//   recurse: 2
+//   normalize: peak:-1                 # end of each pass; limit: -1 or off
+//   steps:
+//     - plugin: Foo                    # catalog name, extension optional
+//       vendor: Acme                   # vendor/format only to disambiguate
+//       params:
+//         Gain: ${drive} dB            # quote "${...}" inside { } or [ ]
+//         Freq: 1000
+//       mix: 50                        # also gain (dB) and normalize
+//     - split:
+//         - gain: -3
+//           steps: [{ plugin: Bar }]
+//         - steps: []                  # dry
+//     - trim: { threshold: -40dB }
+//
+// Plugins are looked up by name (and vendor/format) rather than database id
+// or path, so a file works against any catalog that has them. ${name}
+// expands a variable anywhere outside "vars"; a value that is only a
+// variable keeps the variable's type, and $${ is a literal "${". Besides
+// "vars" (overridden with --var name=value) there are input, input_name
+// (file name without extension), input_dir and output.
+
+export const PIPELINE_FILE_VERSION = 1;
+
+const PLUGIN_KEYS = ["plugin", "vendor", "format", "version", "params", "mix", "gain", "normalize", "seed", "comment"];
+const FILE_KEYS = ["version", "description", "comment", "vars", "input", "output", "recurse", "normalize", "limit", "steps", "$schema"];
+
+export function parsePipelineFile(text, file = "pipeline file") {
+  let doc;
+  try {
+    doc = YAML.parse(text);
+  } catch (err) {
+    throw new Error(`${file}: ${err.message.split("\n")[0].replace(/:$/, "")}`);
+  }
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) throw new Error(`${file}: expected a mapping with version and steps`);
+  return doc;
+}
+
+export const loadPipelineFile = file => parsePipelineFile(fs.readFileSync(file, "utf-8"), file);
+
+// Expand ${name} in every string of value; unknown names go to errors,
+// located like "steps[2].params.Gain" (1-based, as step paths are)
+function substitute(value, vars, where, errors) {
+  if (typeof value === "string") {
+    const whole = value.match(/^\$\{(\w+)\}$/);
+    if (whole && whole[1] in vars) return vars[whole[1]];
+    return value.replace(/\$(\$)?\{(\w+)\}/g, (m, escaped, name) => {
+      if (escaped) return `\${${name}}`;
+      if (!(name in vars)) {
+        errors.push(`${where}: undefined variable \${${name}}`);
+        return m;
+      }
+      return String(vars[name]);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v, i) => substitute(v, vars, `${where}[${i + 1}]`, errors));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substitute(v, vars, where ? `${where}.${k}` : k, errors)]));
+  }
+  return value;
+}
+
+// Catalog plugin by name (with or without extension), narrowed by vendor
+// and format. Returns { plugin } or { error }.
+export function findCatalogPlugin({ plugin: name, vendor, format }) {
+  const lower = s => String(s ?? "").toLowerCase();
+  const candidates = getDb().prepare("SELECT * FROM plugins WHERE NOT missing ORDER BY id").all().filter(p =>
+    [p.name, stripExtension(p.name)].some(n => lower(n) === lower(name)) &&
+    (vendor == null || lower(p.vendor) === lower(vendor)) &&
+    (format == null || lower(p.format) === lower(format)));
+  const usable = candidates.filter(p => !p.quarantined);
+  if (usable.length === 1) return { plugin: usable[0] };
+  if (!candidates.length) {
+    const filters = [vendor != null && `vendor ${vendor}`, format != null && `format ${format}`].filter(Boolean);
+    return { error: `plugin "${name}"${filters.length ? ` (${filters.join(", ")})` : ""} is not in the catalog` };
+  }
+  if (!usable.length) return { error: `plugin "${name}" is quarantined` };
+  return {
+    error: `plugin "${name}" is ambiguous: ${usable.map(p => `${p.name} (${p.vendor || "unknown vendor"}, ${p.format || "?"})`).join(", ")}; add vendor or format`,
+  };
+}
+
+function buildPluginStep(raw, where, ctx) {
+  for (const key of Object.keys(raw)) {
+    if (!PLUGIN_KEYS.includes(key)) ctx.errors.push(`${where}: unknown key "${key}"`);
+  }
+  if (typeof raw.plugin !== "string" || !raw.plugin) {
+    ctx.errors.push(`${where}: plugin must be a name`);
+    return null;
+  }
+  const { plugin, error } = findCatalogPlugin(raw);
+  if (error) {
+    ctx.errors.push(`${where}: ${error}`);
+    return null;
+  }
+  if (raw.version != null && plugin.version && String(raw.version) !== plugin.version) {
+    ctx.warnings.push(`${where}: ${plugin.name} is ${plugin.version}, the file was written for ${raw.version}`);
+  }
+
+  // params: { Name: value } or ["Name:value", ...]
+  let entries = [];
+  if (Array.isArray(raw.params)) {
+    for (const kv of raw.params) {
+      if (typeof kv !== "string" || !kv.includes(":")) ctx.errors.push(`${where}: params entry ${JSON.stringify(kv)} is not "name:value"`);
+      else entries.push(...paramMap([kv]));
+    }
+  } else if (raw.params && typeof raw.params === "object") {
+    entries = Object.entries(raw.params).map(([k, v]) => [k, String(v)]);
+  } else if (raw.params != null) {
+    ctx.errors.push(`${where}: params must be a mapping or a list`);
+  }
+  const catalog = getParameters(plugin.id);
+  const params = [];
+  for (const [key, value] of entries) {
+    if (!catalog.length) {
+      params.push(`${key}:${value}`);
+      continue;
+    }
+    const resolved = resolveParam(catalog, `${key}:${value}`);
+    if (resolved.ok) params.push(`${resolved.param.name}:${resolved.value}`);
+    else ctx.errors.push(`${where} (${plugin.name}): ${resolved.error}`);
+  }
+
+  const step = { ...plugin, params };
+  if (raw.mix != null) {
+    step.mix = Number(raw.mix);
+    if (!(step.mix >= 0 && step.mix <= 100)) ctx.errors.push(`${where}: mix must be 0-100 (% wet)`);
+  }
+  if (raw.gain != null) {
+    step.gain = Number(raw.gain);
+    if (isNaN(step.gain)) ctx.errors.push(`${where}: gain must be dB`);
+  }
+  if (raw.normalize != null) {
+    try {
+      const normalize = parseNormalize(String(raw.normalize));
+      if (normalize) step.normalize = normalize;
+    } catch (err) {
+      ctx.errors.push(`${where}: ${err.message}`);
+    }
+  }
+  if (raw.seed != null) step.seed = String(raw.seed);
+  return step;
+}
+
+function buildTrimStep(raw, where, ctx) {
+  for (const key of Object.keys(raw)) {
+    if (key !== "trim" && key !== "comment") ctx.errors.push(`${where}: unknown key "${key}"`);
+  }
+  const opts = raw.trim === true || raw.trim == null ? {} : raw.trim;
+  if (typeof opts !== "object" || Array.isArray(opts)) {
+    ctx.errors.push(`${where}: trim must be true or { threshold, duration }`);
+    return null;
+  }
+  for (const key of Object.keys(opts)) {
+    if (key !== "threshold" && key !== "duration") ctx.errors.push(`${where}: unknown trim option "${key}"`);
+  }
+  if (opts.threshold != null) {
+    try {
+      parseThreshold(opts.threshold);
+    } catch (err) {
+      ctx.errors.push(`${where}: ${err.message}`);
+    }
+  }
+  if (opts.duration != null && !(parseFloat(opts.duration) >= 0)) ctx.errors.push(`${where}: trim duration must be seconds`);
+  return createTrim({
+    threshold: opts.threshold != null ? String(opts.threshold) : undefined,
+    duration: opts.duration != null ? String(opts.duration) : undefined,
+  });
+}
+
+function buildSplitStep(raw, where, ctx) {
+  for (const key of Object.keys(raw)) {
+    if (key !== "split" && key !== "comment") ctx.errors.push(`${where}: unknown key "${key}"`);
+  }
+  if (!Array.isArray(raw.split) || !raw.split.length) {
+    ctx.errors.push(`${where}: split must be a list of branches`);
+    return null;
+  }
+  const branches = raw.split.map((branch, b) => {
+    const prefix = `${where.slice("step ".length)}.${b + 1}`;
+    if (!branch || typeof branch !== "object" || Array.isArray(branch)) {
+      ctx.errors.push(`branch ${prefix}: expected { gain, steps }`);
+      return { gain: 0, steps: [] };
+    }
+    for (const key of Object.keys(branch)) {
+      if (!["gain", "steps", "comment"].includes(key)) ctx.errors.push(`branch ${prefix}: unknown key "${key}"`);
+    }
+    const gain = Number(branch.gain ?? 0);
+    if (isNaN(gain)) ctx.errors.push(`branch ${prefix}: gain must be dB`);
+    return { gain, steps: buildSteps(branch.steps ?? [], `${prefix}.`, ctx) };
+  });
+  return { type: "split", branches };
+}
+
+function buildSteps(list, prefix, ctx) {
+  if (!Array.isArray(list)) {
+    ctx.errors.push(`${prefix ? `branch ${prefix.slice(0, -1)}` : "file"}: steps must be a list`);
+    return [];
+  }
+  return list.map((raw, i) => {
+    const where = `step ${prefix}${i + 1}`;
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      ctx.errors.push(`${where}: expected a plugin, split or trim step`);
+      return null;
+    }
+    const kinds = ["plugin", "split", "trim"].filter(k => k in raw);
+    if (kinds.length !== 1) {
+      ctx.errors.push(`${where}: needs exactly one of plugin, split or trim${kinds.length ? ` (has ${kinds.join(", ")})` : ""}`);
+      return null;
+    }
+    if (kinds[0] === "split") return buildSplitStep(raw, where, ctx);
+    if (kinds[0] === "trim") return buildTrimStep(raw, where, ctx);
+    return buildPluginStep(raw, where, ctx);
+  }).filter(Boolean);
+}
+
+// Validate a parsed file against the schema and the catalog and build the
+// pipeline. input/output/recurse override the file; vars override its vars.
+// Returns { pipeline, input, output, recurse, warnings, errors }, with
+// pipeline null when there are errors.
+export function resolvePipelineFile(doc, { vars = {}, input, output, recurse } = {}) {
+  const ctx = { errors: [], warnings: [] };
+  const fail = () => ({ pipeline: null, input: null, output: null, recurse: null, ...ctx });
+
+  if (doc.version == null) ctx.errors.push("file: missing version");
+  else if (!Number.isInteger(doc.version) || doc.version < 1) ctx.errors.push(`file: invalid version ${JSON.stringify(doc.version)}`);
+  else if (doc.version > PIPELINE_FILE_VERSION) ctx.errors.push(`file: version ${doc.version} is newer than this code (${PIPELINE_FILE_VERSION})`);
+  if (doc.vars != null && (typeof doc.vars !== "object" || Array.isArray(doc.vars))) ctx.errors.push("file: vars must be a mapping");
+  if (doc.steps == null) ctx.errors.push("file: missing steps");
+  if (ctx.errors.length) return fail();
+  for (const key of Object.keys(doc)) {
+    if (!FILE_KEYS.includes(key)) ctx.errors.push(`file: unknown key "${key}"`);
+  }
+
+  const scope = { ...doc.vars, ...vars };
+  const inputValue = input ?? substitute(doc.input, scope, "input", ctx.errors);
+  if (inputValue != null) {
+    const resolved = path.resolve(String(inputValue));
+    Object.assign(scope, {
+      input: resolved,
+      input_name: path.basename(resolved, path.extname(resolved)),
+      input_dir: path.dirname(resolved),
+    });
+  }
+  // an output named after the input stays unknown until there is one
+  const outputErrors = [];
+  const outputValue = output ?? substitute(doc.output, scope, "output", outputErrors);
+  if (inputValue != null || !outputErrors.length) {
+    ctx.errors.push(...outputErrors);
+    if (outputValue != null) scope.output = path.resolve(String(outputValue));
+  }
+
+  const body = substitute({ recurse: doc.recurse, normalize: doc.normalize, limit: doc.limit, steps: doc.steps }, scope, "", ctx.errors);
+  const passes = recurse ?? body.recurse ?? 1;
+  if (!Number.isInteger(Number(passes)) || Number(passes) < 1) ctx.errors.push(`file: recurse must be a positive integer (got ${passes})`);
+
+  const options = {};
+  try {
+    if (body.normalize != null) options.normalize = parseNormalize(String(body.normalize));
+    if (body.limit != null) options.limit = body.limit === false ? null : parseCeiling(String(body.limit));
+  } catch (err) {
+    ctx.errors.push(`file: ${err.message}`);
+  }
+
+  const steps = buildSteps(body.steps, "", ctx);
+  if (!steps.length && !ctx.errors.length) ctx.errors.push("file: steps is empty");
+  if (ctx.errors.length) return fail();
+  return {
+    pipeline: new Pipeline({ steps, ...options }),
+    input: scope.input ?? null,
+    output: scope.output ?? null,
+    recurse: Number(passes),
+    ...ctx,
+  };
+}
+
+// Plugin params as a mapping, numbers unquoted
+const paramObject = params => Object.fromEntries([...paramMap(params)].map(([k, v]) =>
+  [k, /^-?\d+(\.\d+)?$/.test(v) ? Number(v) : v]));
+
+const normalizeText = n => `${n.mode}:${n.target}`;
+
+function fileSteps(steps) {
+  return steps.map(step => {
+    if (isSplit(step)) return { split: step.branches.map(b => ({ gain: b.gain, steps: fileSteps(b.steps) })) };
+    if (isTrim(step)) {
+      const { type, ...opts } = step;
+      return { trim: Object.keys(opts).length ? opts : true };
+    }
+    return {
+      plugin: stripExtension(step.name),
+      ...(step.vendor ? { vendor: step.vendor } : {}),
+      ...(step.format ? { format: step.format } : {}),
+      ...(step.params?.length ? { params: paramObject(step.params) } : {}),
+      ...(step.mix != null ? { mix: step.mix } : {}),
+      ...(step.gain != null ? { gain: step.gain } : {}),
+      ...(step.normalize ? { normalize: normalizeText(step.normalize) } : {}),
+    };
+  });
+}
+
+// A pipeline file for `pipeline` (see Pipeline in pipeline.js)
+export function toPipelineFile(pipeline, { description, input, output, recurse } = {}) {
+  return {
+    version: PIPELINE_FILE_VERSION,
+    ...(description ? { description } : {}),
+    ...(input ? { input } : {}),
+    ...(output ? { output } : {}),
+    ...(recurse > 1 ? { recurse } : {}),
+    ...(pipeline.normalize ? { normalize: normalizeText(pipeline.normalize) } : {}),
+    ...(pipeline.limit !== undefined ? { limit: pipeline.limit ?? "off" } : {}),
+    steps: fileSteps(pipeline.steps),
+  };
+}
+
+// Write a pipeline file, as JSON for .json and YAML otherwise
+export function savePipelineFile(file, doc) {
+  const text = path.extname(file).toLowerCase() === ".json" ? JSON.stringify(doc, null, 2) + "\n" : YAML.stringify(doc);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+// ------------------ CLI ------------------
+// `node pipeline_file.js run|check ...` is the same as `plugalyzer run|check ...` (see cli.js)
+runAsMain(import.meta.url);
@@ -0,0 +1,128 @@
+import { execa } from "execa";
+import fs from "fs";
+import path from "path";
+import { config } from "./config.js";
+
+// Audio playback through whatever player the machine has. The first one
+// found on PATH wins, in platform order; "player" in the config file
+// overrides detection with a backend name or a command line, where {file}
+// marks the file (appended when missing), e.g. "mpv --no-video {file}".
+
+const BACKENDS = [
+  { name: "afplay", platforms: ["darwin"], args: file => [file] },
+  { name: "pw-play", platforms: ["linux"], args: file => [file] },
+  { name: "paplay", platforms: ["linux"], args: file => [file] },
+  { name: "aplay", platforms: ["linux"], args: file => ["-q", file] },
+  { name: "play", args: file => ["-q", file] }, // sox
+  { name: "ffplay", args: file => ["-nodisp", "-autoexit", "-loglevel", "quiet", file] },
+  {
+    name: "powershell",
+    platforms: ["win32"],
+    args: file => ["-NoProfile", "-Command", `(New-Object Media.SoundPlayer '${file.replace(/'/g, "''")}').PlaySync()`],
+  },
+];
+
+export const PLAYER_NAMES = BACKENDS.map(b => b.name);
+
+// Whether `command` is an executable on PATH
+export function onPath(command, env = process.env) {
+  const exts = process.platform === "win32" ? (env.PATHEXT || ".EXE;.CMD;.BAT").split(";") : [""];
+  return (env.PATH || "").split(path.delimiter).filter(Boolean).some(dir => exts.some(ext => {
+    try {
+      fs.accessSync(path.join(dir, command + ext), fs.constants.X_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  }));
+}
+
+// "mpv --no-video {file}" -> backend
+function parseCommand(text) {
+  const [name, ...rest] = String(text).match(/"[^"]*"|'[^']*'|\S+/g).map(a => a.replace(/^(["'])(.*)\1$/, "$2"));
+  const hasFile = rest.some(a => a.includes("{file}"));
+  return {
+    name,
+    configured: true,
+    args: file => hasFile ? rest.map(a => a.replaceAll("{file}", file)) : [...rest, file],
+  };
+}
+
+// The backend to use: a configured command line, a backend by name
+// ("ffplay"), or the first one on PATH
+export function detectPlayer({ command = config.player, platform = process.platform } = {}) {
+  if (command) return BACKENDS.find(b => b.name === command) || parseCommand(command);
+  return BACKENDS.find(b => (!b.platforms || b.platforms.includes(platform)) && onPath(b.name)) || null;
+}
+
+// One background player: starting a file stops whatever is playing,
+// sequences included. play(file) resolves once the file ends or is stopped
+// (to true when it played to the end); playSequence runs files back to back
+// until stopped.
+export function createPlayer({ command, log = console.log } = {}) {
+  let backend;
+  let current = null;
+  let sequence = 0; // bumped by play() and stop() to end a running sequence
+
+  const getBackend = () => {
+    if (backend === undefined) backend = detectPlayer(command ? { command } : {});
+    if (!backend) {
+      throw new Error(`No audio player found (tried ${PLAYER_NAMES.join(", ")}); set "player" in the config file`);
+    }
+    return backend;
+  };
+
+  const halt = () => {
+    if (!current) return false;
+    current.stopped = true;
+    current.process.kill();
+    current = null;
+    return true;
+  };
+
+  const start = async (file, label) => {
+    if (!fs.existsSync(file)) throw new Error(`No such file: ${file}`);
+    const { name, args } = getBackend();
+    halt();
+    const entry = { file, label, stopped: false };
+    entry.process = execa(name, args(file), { stdio: "ignore", reject: false });
+    current = entry;
+    const result = await entry.process;
+    if (current === entry) current = null;
+    if (!entry.stopped && result.failed) {
+      throw new Error(`${name} failed on ${path.basename(file)}: ${result.shortMessage || `exit code ${result.exitCode}`}`);
+    }
+    return !entry.stopped;
+  };
+
+  return {
+    get backend() {
+      return getBackend().name;
+    },
+    get current() {
+      return current && { file: current.file, label: current.label };
+    },
+    play(file, { label } = {}) {
+      sequence++;
+      return start(file, label);
+    },
+
+    // items: [{ file, label }], played in order `rounds` times
+    async playSequence(items, { rounds = 1 } = {}) {
+      const id = ++sequence;
+      for (let r = 0; r < rounds; r++) {
+        for (const item of items) {
+          if (id !== sequence) return false;
+          log(`▶️  ${item.label ? `${item.label}: ` : ""}${item.file}`);
+          if (!await start(item.file, item.label)) return false;
+        }
+      }
+      return true;
+    },
+
+    stop() {
+      sequence++;
+      return halt();
+    },
+  };
+}
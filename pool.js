@@ -0,0 +1,22 @@
+// Run worker(item, index) over items with at most `concurrency` in flight.
+// Results keep the input order; a rejected worker yields { error } in its
+// slot instead of aborting the rest.
+export async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { value: await worker(items[i], i) };
+      } catch (error) {
+        results[i] = { error };
+      }
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
@@ -0,0 +1,113 @@
+import fs from "fs";
+import { getDb } from "./db.js";
+import { getParameters, resolveParam, stripExtension } from "./index.js";
+import { paramList, paramMap } from "./step_params.js";
+
+// Named parameter sets per plugin. Stored as a JSON object { Name: value };
+// pipeline steps use "Name:value" strings, so convert at the edges.
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const hydrate = row => row && { ...row, params: JSON.parse(row.params) };
+
+export function savePreset(pluginId, name, params) {
+  const values = Object.fromEntries(paramMap(params));
+  return hydrate(getDb().prepare(`
+    INSERT INTO presets (plugin_id, name, params, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(plugin_id, name) DO UPDATE SET params=excluded.params, updated_at=excluded.updated_at
+    RETURNING *
+  `).get(pluginId, name, JSON.stringify(values), now(), now()));
+}
+
+export function getPreset(pluginId, name) {
+  return hydrate(getDb().prepare(`
+    SELECT * FROM presets WHERE plugin_id = ? AND name = ? COLLATE NOCASE
+  `).get(pluginId, name));
+}
+
+export function listPresets(pluginId) {
+  const db = getDb();
+  const rows = pluginId == null
+    ? db.prepare(`SELECT pr.*, p.name AS plugin_name FROM presets pr JOIN plugins p ON p.id = pr.plugin_id ORDER BY p.name, pr.name`).all()
+    : db.prepare(`SELECT pr.*, p.name AS plugin_name FROM presets pr JOIN plugins p ON p.id = pr.plugin_id WHERE pr.plugin_id = ? ORDER BY pr.name`).all(pluginId);
+  return rows.map(hydrate);
+}
+
+export function deletePreset(pluginId, name) {
+  return getDb().prepare(`DELETE FROM presets WHERE plugin_id = ? AND name = ? COLLATE NOCASE`).run(pluginId, name).changes > 0;
+}
+
+// Preset params as a step param list ("Name:value" strings)
+export const presetParams = preset => paramList(new Map(Object.entries(preset.params)));
+
+// Presets are shared by plugin name/vendor/format, since row ids and
+// install paths differ between machines.
+export function exportPresets(file, pluginId) {
+  const db = getDb();
+  const presets = listPresets(pluginId).map(pr => {
+    const plugin = db.prepare(`SELECT name, vendor, format FROM plugins WHERE id = ?`).get(pr.plugin_id);
+    return { plugin, name: pr.name, params: pr.params };
+  });
+  fs.writeFileSync(file, JSON.stringify({ version: 1, presets }, null, 2));
+  return presets.length;
+}
+
+function matchPlugin(ref) {
+  const db = getDb();
+  const candidates = db.prepare(`SELECT * FROM plugins WHERE NOT missing`).all()
+    .filter(p => stripExtension(p.name).toLowerCase() === stripExtension(ref.name || "").toLowerCase())
+    .filter(p => !ref.vendor || !p.vendor || p.vendor.toLowerCase() === ref.vendor.toLowerCase());
+  // prefer the same format when a plugin is installed as both VST3 and AU
+  return candidates.find(p => p.format === ref.format) || candidates[0];
+}
+
+// A preset's params checked against the plugin's catalog parameters:
+// { params } with canonical names and values, or { error }
+function validatePresetParams(plugin, values) {
+  if (values != null && (typeof values !== "object" || Array.isArray(values))) return { error: "params must be an object" };
+  const catalog = getParameters(plugin.id);
+  const params = [];
+  const errors = [];
+  for (const [key, value] of Object.entries(values || {})) {
+    if (!catalog.length) {
+      params.push(`${key}:${value}`);
+      continue;
+    }
+    const resolved = resolveParam(catalog, `${key}:${value}`);
+    if (resolved.ok) params.push(`${resolved.param.name}:${resolved.value}`);
+    else errors.push(resolved.error);
+  }
+  return errors.length ? { error: errors.join("; ") } : { params };
+}
+
+// Returns { imported, skipped: [{ preset, reason }] }
+export function importPresets(file, { overwrite = true } = {}) {
+  const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const presets = Array.isArray(data) ? data : data.presets || [];
+  let imported = 0;
+  const skipped = [];
+  for (const pr of presets) {
+    if (!pr || typeof pr.name !== "string" || !pr.name.trim()) {
+      skipped.push({ preset: pr || {}, reason: "missing name" });
+      continue;
+    }
+    const plugin = pr.plugin && matchPlugin(pr.plugin);
+    if (!plugin) {
+      skipped.push({ preset: pr, reason: `plugin not in catalog: ${pr.plugin?.name}` });
+      continue;
+    }
+    if (!overwrite && getPreset(plugin.id, pr.name)) {
+      skipped.push({ preset: pr, reason: "already exists" });
+      continue;
+    }
+    const { params, error } = validatePresetParams(plugin, pr.params);
+    if (error) {
+      skipped.push({ preset: pr, reason: `invalid params: ${error}` });
+      continue;
+    }
+    savePreset(plugin.id, pr.name.trim(), params);
+    imported++;
+  }
+  return { imported, skipped };
+}
@@ -0,0 +1,77 @@
+import { config } from "./config.js";
+import { randomValue, valueAt } from "./params.js";
+
+// Seeded parameter randomization shared by the CLI random mode and the REPL
+// `randomize` command. The same seed, spread and exclusions always produce the
+// same values for the same catalog entries.
+
+// Parameters that are rarely useful to randomize: MIDI CC mappings and bypass
+// switches. Override with "randomExclude" in the config file.
+export const DEFAULT_EXCLUDE = config.randomExclude || ["MIDI CC*", "*bypass*"];
+
+export const newSeed = () => Math.floor(Math.random() * 2 ** 32);
+
+// xmur3 string hash -> 32-bit seed, so "--seed snare" works as well as numbers
+function hashSeed(seed) {
+  const str = String(seed);
+  if (/^\d+$/.test(str)) return Number(BigInt(str) % 4294967296n);
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^= h >>> 16) >>> 0;
+}
+
+// mulberry32: small, fast, good enough for picking parameter values
+export function createRng(seed = newSeed()) {
+  let a = hashSeed(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Case-insensitive name patterns: "*" is a wildcard, otherwise substring match
+export function matchesPattern(name, pattern) {
+  const lower = name.toLowerCase();
+  const pat = pattern.toLowerCase();
+  if (!pat.includes("*")) return lower.includes(pat);
+  const re = new RegExp(`^${pat.split("*").map(s => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+  return re.test(lower);
+}
+
+// One random value per parameter. Options:
+//   rng      random source (createRng(seed))
+//   spread   null for the full range, or 0..1 to stay within ±spread of the
+//            default (in normalized range units)
+//   exclude  name patterns to leave untouched
+//   locked   Map(name -> value) kept as given
+// Returns "Name:value" strings, locked values included.
+export function randomizeParams(params, { rng = Math.random, spread = null, exclude = DEFAULT_EXCLUDE, locked = new Map() } = {}) {
+  const lockedKeys = new Map([...locked].map(([k, v]) => [k.toLowerCase(), [k, v]]));
+  const result = [];
+  for (const p of params) {
+    const lock = lockedKeys.get(p.name.toLowerCase());
+    if (lock) {
+      result.push(`${p.name}:${lock[1]}`);
+      lockedKeys.delete(p.name.toLowerCase());
+      continue;
+    }
+    if (p.kind === "text" || exclude.some(pat => matchesPattern(p.name, pat))) continue;
+    const x = rng();
+    const value = spread == null || p.default_norm == null
+      ? randomValue(p, () => x)
+      : valueAt(p, p.default_norm + (x * 2 - 1) * spread);
+    if (value != null) result.push(`${p.name}:${value}`);
+  }
+  for (const [k, v] of lockedKeys.values()) result.push(`${k}:${v}`);
+  return result;
+}
+
+// Pick one item with the given rng (for seeded random plugin choice)
+export const pick = (items, rng = Math.random) => items[Math.floor(rng() * items.length)];
@@ -0,0 +1,157 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { getDb } from "./db.js";
+import { mapSteps, stepStaging } from "./graph.js";
+
+// Render provenance: every run is recorded in the renders table and in a
+// "<output>.render.json" sidecar next to the output file, with enough detail
+// (plugins, versions, resolved params, seed, input hash, commands) to rebuild
+// and re-run the same chain later.
+
+export const SIDECAR_SUFFIX = ".render.json";
+
+export const sidecarPath = output => output.replace(/\.[^./]+$/, "") + SIDECAR_SUFFIX;
+
+export function hashFile(file) {
+  return new Promise((resolve) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(file)
+      .on("data", chunk => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", () => resolve(null));
+  });
+}
+
+// Catalog details for a pipeline step, as they were at render time
+export function describeStep(step) {
+  const plugin = getDb().prepare(`SELECT * FROM plugins WHERE id = ? OR path = ? ORDER BY id = ? DESC`)
+    .get(step.id ?? null, step.path, step.id ?? null) || {};
+  return {
+    plugin_id: plugin.id ?? step.id ?? null,
+    name: step.name,
+    path: step.path,
+    vendor: plugin.vendor ?? null,
+    version: plugin.version ?? null,
+    format: plugin.format ?? null,
+    fingerprint: plugin.fingerprint ?? null,
+    params: step.params || [],
+    ...(step.seed != null ? { seed: step.seed } : {}),
+    ...stepStaging(step),
+  };
+}
+
+// Store a finished render; writes the sidecar when the output exists.
+// Returns the manifest including its id.
+export function saveRender(manifest) {
+  const db = getDb();
+  const { id } = db.prepare(`
+    INSERT INTO renders (created_at, source, input, input_hash, output, recurse, seed, status, error, duration_ms)
+    VALUES (@created_at, @source, @input, @input_hash, @output, @recurse, @seed, @status, @error, @duration_ms)
+    RETURNING id
+  `).get({
+    created_at: Math.floor(manifest.started_at / 1000),
+    source: manifest.source,
+    input: manifest.input,
+    input_hash: manifest.input_hash,
+    output: manifest.output,
+    recurse: manifest.recurse,
+    seed: manifest.seed == null ? null : String(manifest.seed),
+    status: manifest.status,
+    error: manifest.error ?? null,
+    duration_ms: manifest.duration_ms,
+  });
+
+  const record = { version: 1, id, ...manifest };
+  let sidecar = null;
+  if (manifest.output && fs.existsSync(manifest.output)) {
+    sidecar = sidecarPath(manifest.output);
+    try {
+      fs.writeFileSync(sidecar, JSON.stringify(record, null, 2));
+    } catch (err) {
+      console.error(`⚠️ Failed to write ${sidecar}:`, err.message);
+      sidecar = null;
+    }
+  }
+  db.prepare(`UPDATE renders SET sidecar = ?, manifest = ? WHERE id = ?`).run(sidecar, JSON.stringify(record), id);
+  if (manifest.stats) saveRenderStats(id, manifest.stats);
+  return record;
+}
+
+export function saveRenderStats(renderId, stats) {
+  getDb().prepare(`
+    INSERT OR REPLACE INTO render_stats (render_id, file, duration_s, sample_rate, channels, peak_db, rms_db, lufs,
+      crest_db, dc_offset, silence_ratio, clipped_samples, centroid_hz, analyzed_at)
+    VALUES (@render_id, @file, @duration_s, @sample_rate, @channels, @peak_db, @rms_db, @lufs,
+      @crest_db, @dc_offset, @silence_ratio, @clipped_samples, @centroid_hz, @analyzed_at)
+  `).run({ file: null, ...stats, render_id: renderId, analyzed_at: Math.floor(Date.now() / 1000) });
+}
+
+export function getRenderStats(renderId) {
+  return getDb().prepare(`SELECT * FROM render_stats WHERE render_id = ?`).get(renderId) || null;
+}
+
+// Mark a render as rejected by the quality checks (see analysis.js)
+export function rejectRender(renderId, reasons) {
+  const db = getDb();
+  const row = db.prepare(`SELECT manifest FROM renders WHERE id = ?`).get(renderId);
+  if (!row) return;
+  const manifest = { ...JSON.parse(row.manifest), status: "rejected", error: reasons.join("; ") };
+  db.prepare(`UPDATE renders SET status = 'rejected', error = ?, manifest = ? WHERE id = ?`)
+    .run(manifest.error, JSON.stringify(manifest), renderId);
+}
+
+export function listRenders(limit = 20) {
+  return getDb().prepare(`
+    SELECT id, created_at, source, input, output, recurse, seed, status, duration_ms
+    FROM renders ORDER BY id DESC LIMIT ?
+  `).all(limit);
+}
+
+export function getRender(id) {
+  const row = getDb().prepare(`SELECT manifest FROM renders WHERE id = ?`).get(id);
+  return row ? JSON.parse(row.manifest) : null;
+}
+
+// A render by database id, by sidecar path, or by the output file it produced
+export function loadRender(ref) {
+  ref = String(ref);
+  if (/^\d+$/.test(ref)) return getRender(parseInt(ref, 10));
+  const file = ref.endsWith(SIDECAR_SUFFIX) ? ref : sidecarPath(ref);
+  if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf-8"));
+  const row = getDb().prepare(`SELECT manifest FROM renders WHERE output = ? ORDER BY id DESC`).get(path.resolve(ref));
+  return row ? JSON.parse(row.manifest) : null;
+}
+
+// What each step of the last pass wrote: step label ("2", "3.1.2") -> file.
+// Staging commands share their step's label, so the last one wins.
+export function stepOutputs(render) {
+  const commands = render.commands || [];
+  const lastPass = Math.max(0, ...commands.map(c => c.pass || 0));
+  const outputs = new Map();
+  for (const c of commands) {
+    if (c.pass === lastPass && c.output && c.step !== "pass") outputs.set(String(c.step), c.output);
+  }
+  return outputs;
+}
+
+// Pipeline steps from a render, matched to the current catalog by path and
+// then by name. Returns { steps, warnings }.
+export function stepsFromRender(render) {
+  const db = getDb();
+  const warnings = [];
+  const steps = mapSteps(render.steps, s => {
+    const plugin =
+      db.prepare(`SELECT * FROM plugins WHERE path = ?`).get(s.path) ||
+      db.prepare(`SELECT * FROM plugins WHERE name = ? AND NOT missing`).get(s.name);
+    if (!plugin) {
+      warnings.push(`${s.name} is not in the catalog; using recorded path ${s.path}`);
+      return { id: s.plugin_id, name: s.name, path: s.path, params: [...s.params], ...stepStaging(s) };
+    }
+    if (s.version && plugin.version && s.version !== plugin.version) {
+      warnings.push(`${s.name} was ${s.version} at render time, now ${plugin.version}`);
+    }
+    return { ...plugin, params: [...s.params], ...(s.seed != null ? { seed: s.seed } : {}), ...stepStaging(s) };
+  });
+  return { steps, warnings };
+}
@@ -1,41 +1,135 @@
 #!/usr/bin/env node
 import readline from "readline";
-import Database from "better-sqlite3";
-import { execa } from "execa";
 import path from "path";
 import fs from "fs";
+import { getDb, takeDbFlag } from "./db.js";
+import { describeParameter, hydrateParameter } from "./params.js";
+import { getParameters, resolvePluginRef } from "./index.js";
+import { DEFAULT_EXCLUDE, createRng, newSeed, randomizeParams } from "./randomize.js";
+import { applyParamEdits, paramMap, parseParamEdits } from "./step_params.js";
+import { createCompleter, loadHistory, saveHistory } from "./completer.js";
+import { createUndoStack } from "./undo.js";
+import { createPlayer } from "./playback.js";
+import { createStepCache, formatSize } from "./cache.js";
+import { SCRATCH_ROOT, rerender } from "./runner.js";
+import { Pipeline } from "./pipeline.js";
+import { loadPipelineFile, resolvePipelineFile, savePipelineFile, toPipelineFile } from "./pipeline_file.js";
+import { getRenderStats, listRenders, loadRender, stepOutputs, stepsFromRender } from "./renders.js";
+import { analyzeFile, checkQuality, formatStats } from "./analysis.js";
+import { loadSummary } from "./variations.js";
+import { LIMITER_DEFAULTS, NORMALIZE_TARGETS, formatNormalize, parseCeiling, parseNormalize } from "./levels.js";
+import { createBranch, createSplit, createTrim, formatGain, formatTrim, isSplit, isTrim, parsePath, stepName } from "./graph.js";
+import { BATCH_DEFAULTS, expandInputs, printProgress, printSummary, runBatch } from "./batch.js";
+import { JOIN_DEFAULTS, joinFiles, parseGap, parseThreshold, sliceFile, trimAndJoin, trimFiles } from "./truncate_silence.js";
+import { deletePreset, exportPresets, getPreset, importPresets, listPresets, savePreset } from "./presets.js";
 
-const db = new Database("plugins.db");
-const PLUGALYZER = "Plugalyzer";
+takeDbFlag(process.argv.slice(2));
+const db = getDb();
 const AUTOSAVE_FILE = "autosave.json";
+// 2: pipeline steps may be splits with branches (see graph.js)
+// 3: per-step mix/gain/normalize and pass settings (normalize, limit)
+const STATE_VERSION = 3;
+const DEFAULT_SETTINGS = { normalize: null, limit: "auto" };
 
-let pipeline = [];
+const pipeline = new Pipeline();
+pipeline.on("log", line => console.log(line));
+let activeRun = null; // AbortController of the running pipeline
 let inputFile = null;
 let lastOutput = null;
+let settings = { ...DEFAULT_SETTINGS };
+let undoStack = createUndoStack();
+const player = createPlayer();
+const stepCache = createStepCache();
+
+const snapshot = () => JSON.parse(JSON.stringify({ pipeline: pipeline.steps, inputFile, settings }));
+
+const restore = state => {
+  pipeline.steps = state.pipeline || [];
+  inputFile = state.inputFile || null;
+  settings = { ...DEFAULT_SETTINGS, ...state.settings };
+};
+
+// Pass settings as runChain options: limit "auto" leaves the default
+const passOptions = () => ({
+  normalize: settings.normalize,
+  ...(settings.limit !== "auto" ? { limit: settings.limit === "off" ? null : settings.limit } : {}),
+});
+
+const formatSettings = () =>
+  `pass normalize: ${formatNormalize(settings.normalize)}, limiter: ${settings.limit === "auto" ? `auto (${LIMITER_DEFAULTS.ceiling} dB on recursive runs)` : settings.limit === "off" ? "off" : `${settings.limit} dB`}`;
+
+const printPipeline = () => {
+  if (inputFile) console.log(`🎧 Input: ${inputFile}`);
+  if (!pipeline.length) console.log("Pipeline is empty");
+  else pipeline.format().forEach(line => console.log(line));
+  if (JSON.stringify(settings) !== JSON.stringify(DEFAULT_SETTINGS)) console.log(`⚙️  ${formatSettings()}`);
+};
+
+// A plugin step by dotted path ("2", "3.1.2"); splits and trims have no params
+const pluginStepAt = text => {
+  const found = pipeline.locate(text);
+  if (found.error) return found;
+  if (found.kind !== "step") return { error: `${text} is a branch, not a step` };
+  if (isSplit(found.step)) return { error: `Step ${text} is a split` };
+  if (isTrim(found.step)) return { error: `Step ${text} is a trim step` };
+  return found;
+};
+
+// Something to listen to: "in", "out"/"last", a step path (its output in
+// the last run) or a file -> { file, label } | { error }
+const resolveAudio = (ref = "out") => {
+  if (ref === "in") return inputFile ? { file: inputFile, label: "input" } : { error: "No input file set (use in <file>)" };
+  if (ref === "out" || ref === "last") return lastOutput ? { file: lastOutput, label: "output" } : { error: "No output file generated yet." };
+  if (parsePath(ref)) {
+    if (!lastOutput) return { error: "No output file generated yet." };
+    const render = loadRender(lastOutput);
+    if (!render) return { error: `No render recorded for ${lastOutput}` };
+    const file = stepOutputs(render).get(ref);
+    if (!file) return { error: `Step ${ref} has no output in the last run (render #${render.id})` };
+    // without the cache, step outputs only live in the run's scratch directory
+    if (!fs.existsSync(file) && file.startsWith(SCRATCH_ROOT + path.sep)) return { error: `Step outputs are only kept with the step cache: run again without --no-cache to play step ${ref}` };
+    if (!fs.existsSync(file)) return { error: `Step ${ref} output is gone: ${file}` };
+    return { file, label: `step ${ref}` };
+  }
+  return fs.existsSync(ref) ? { file: ref, label: path.basename(ref) } : { error: `No such file: ${ref}` };
+};
+
+// Detected player name, or null after reporting that none was found
+const playerName = () => {
+  try {
+    return player.backend;
+  } catch (err) {
+    console.error("❌", err.message);
+    return null;
+  }
+};
 
 const saveState = (name = "state") => {
   const file = `${name}.json`;
-  const data = { pipeline, inputFile, lastOutput };
+  const data = { version: STATE_VERSION, pipeline: pipeline.steps, inputFile, lastOutput, settings, undo: undoStack.toJSON() };
   fs.writeFileSync(file, JSON.stringify(data, null, 2));
   if (name !== "autosave") {
     console.log(`💾 Saved state to ${file}`);
   }
 };
 
+// Returns true once the state is loaded
 const loadState = (name = "state") => {
   const file = `${name}.json`;
   if (!fs.existsSync(file)) return console.log(`No saved state found: ${file}`);
   try {
-    const { pipeline: pl, inputFile: inf, lastOutput: out } = JSON.parse(fs.readFileSync(file, "utf-8"));
-    pipeline = pl || [];
+    const { version = 1, pipeline: pl, inputFile: inf, lastOutput: out, settings: st, undo } = JSON.parse(fs.readFileSync(file, "utf-8"));
+    if (version > STATE_VERSION) return console.log(`⚠️ ${file} was saved by a newer version (state v${version})`);
+    pipeline.steps = pl || [];
     inputFile = inf || null;
     lastOutput = out || null;
+    settings = { ...DEFAULT_SETTINGS, ...st };
+    // only the session autosave carries the undo stack forward; loading a
+    // named state is itself an undoable change
+    if (name === "autosave" && undo) undoStack = createUndoStack(undo);
     console.log(`📂 Loaded state from ${file}`);
-    if (inputFile) console.log(`🎧 Input: ${inputFile}`);
-    if (!pipeline.length) console.log("Pipeline empty");
-    else pipeline.forEach((p, i) =>
-      console.log(`${i + 1}. [${p.id}] ${p.name} ${p.params?.length ? `(params: ${p.params.join(", ")})` : ""}`)
-    );
+    printPipeline();
+    return true;
   } catch (err) {
     console.error("⚠️ Failed to load state:", err.message);
   }
@@ -43,16 +137,56 @@ const loadState = (name = "state") => {
 
 const autosave = () => saveState("autosave");
 
+// Parse "[@preset] name:value ..." into param edits for a plugin; preset
+// values come first so explicit name:value pairs override them.
+const parseStepEdits = (pluginId, text, catalog) => {
+  let presetEdits = [];
+  const presetMatch = text.match(/^@(\S+)\s*/);
+  if (presetMatch) {
+    const preset = getPreset(pluginId, presetMatch[1]);
+    if (!preset) return { edits: [], error: `No preset "${presetMatch[1]}" for this plugin` };
+    presetEdits = Object.entries(preset.params).map(([key, value]) => ({ key, value }));
+    text = text.slice(presetMatch[0].length);
+  }
+  const { edits, error } = parseParamEdits(text, catalog);
+  return { edits: [...presetEdits, ...edits], error };
+};
+
+// Record a pipeline/input change for undo, then autosave
+const recordChange = (label, before) => {
+  undoStack.record(label, before, snapshot());
+  autosave();
+};
+
 // --- Load autosaved session if available ---
 if (fs.existsSync(AUTOSAVE_FILE)) {
   console.log("🧠 Restoring previous session...");
   loadState("autosave");
 }
 
+const COMMANDS = [
+  "help", "search", "list", "show", "add", "ls", "list_pipeline", "params", "mod",
+  "rm", "remove", "reset", "in", "in_last", "run", "run_pipeline", "play",
+  "play_last", "save", "load", "export", "import", "undo", "redo", "history", "randomize", "preset", "renders", "rerender", "batch", "split", "branch", "gain", "mix", "norm", "set", "stats", "variations", "variation", "trim", "join", "slice", "stop", "ab", "cache", "exit",
+];
+
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout,
-  prompt: "plugins> "
+  prompt: "plugins> ",
+  completer: createCompleter(() => ({ commands: COMMANDS, pipeline: pipeline.steps })),
+  history: loadHistory(),
+  historySize: 1000,
+  removeHistoryDuplicates: true
+});
+
+rl.on("history", saveHistory);
+
+// Ctrl+C cancels a running pipeline; otherwise it exits
+rl.on("SIGINT", () => {
+  if (!activeRun) return rl.close();
+  console.log("\n⏹️  Cancelling...");
+  activeRun.abort();
 });
 
 console.log("🎛️  Plugin REPL - type 'help' for commands");
@@ -63,6 +197,9 @@ rl.on("line", async (line) => {
   if (!input) return rl.prompt();
 
   const [command, ...args] = input.split(" ");
+  const before = snapshot();
+  // everything after the first n arguments, spaces preserved
+  const restAfter = n => input.replace(new RegExp(`^\\S+(\\s+\\S+){0,${n}}\\s*`), "");
 
   switch (command) {
     case "help":
@@ -70,17 +207,88 @@ rl.on("line", async (line) => {
 Available commands:
   search <text>                     Search plugins by name
   list                              List all plugins
-  show <id>                         Show parameters for a plugin
-  add <id> [name:value ...]         Add a plugin to the pipeline
+  show <id|name>                    Show parameters for a plugin
+  add [--to=<branch>] <id|name> [@preset] [name:value ...]
+                                    Add a plugin to the pipeline (or a branch)
+  split [N] [--to=<branch>]         Add a split into N parallel branches
+                                    (default 2), mixed back together with sox
+  branch <step>                     Add a branch to the split at <step>
+  trim [--threshold=dB] [--duration=s] [--to=<branch>]
+                                    Add a step that trims leading/trailing
+                                    silence
+  trim <glob...> [--threshold=dB] [--duration=s]
+                                    Trim files into *_trimmed.wav
+  join <glob...> [--out=file] [--gap=len] [--crossfade=s] [--fade=s]
+       [--order=natural|name|duration|shuffle|given] [--seed=N]
+       [--trim] [--keep-trimmed]    Concatenate files (gap: seconds, 250ms or
+                                    beats@bpm like 1@120); --trim trims them
+                                    first and removes the trimmed copies
+  slice [file] [--threshold=dB] [--duration=s] [--min=s] [--max=s]
+        [--preroll=s] [--padding=s] [--normalize[=dB]] [--out=dir]
+                                    Cut a file (default: last output) at its
+                                    silent gaps into numbered slices plus a
+                                    *_slices.json manifest
+  gain <branch> <dB>                Set a branch's gain in the mix
+  gain <step> <dB|off>              Set a step's output gain
+  mix <step> <wet%|off>             Blend a step's output with its input
+  norm <step> <mode>[:target]|off   Normalize after a step: peak (dBFS), rms
+                                    (dBFS) or lufs
+  set norm <mode>[:target]|off      Normalize at the end of every pass
+  set limit <dB>|auto|off           Safety limiter ceiling at the end of every
+                                    pass (auto: on for recursive runs); also
+                                    stops recursion once a pass goes silent
   ls, list_pipeline                 List plugins in the pipeline
-  mod <index> name:value ...        Modify params for pipeline item
-  rm, remove <index>                Remove plugin by 1-based index
+                                    Steps are numbered by path: 2.1.3 is step 3
+                                    of branch 1 of the split at step 2
+  params <index>                    Show a step's params next to the defaults
+  mod <index> name:value ...        Set params on a step (names or param
+                                    indexes; values checked against the catalog)
+  mod <index> -name ...             Unset params (back to the plugin default)
+  mod <index> --clear [name:value]  Drop all params, then apply the rest
+  mod <index> @preset [name:value]  Apply a saved preset (then any overrides)
+  randomize <index> [--seed=N] [--spread=N] [--exclude=pat] [--lock=name,...]
+                                    Randomize a step's params (spread: ±N% of
+                                    the defaults; locked params keep their value)
+  preset save <index> <name>        Save a step's params as a plugin preset
+  preset list [plugin]              List presets (all, or for one plugin)
+  preset rm <plugin> <name>         Delete a preset
+  preset export <file> [plugin]     Write presets to a JSON file
+  preset import <file>              Load presets from a JSON file
+  rm, remove <index>                Remove a step or branch by 1-based index
   reset                             Reset the entire pipeline
   in <file>                         Set default input file
-  r, run, run_pipeline [in] [out]   Run pipeline on input (default: in)
-  play_last, play, p                Play the last generated output
+  r, run, run_pipeline [in] [out] [--recurse=N] [--no-cache]
+                                    Run pipeline on input (default: in); step
+                                    outputs are cached in the work directory,
+                                    so unchanged leading steps are skipped
+  cache stats                       Show the step cache's size and hits
+  cache clear                       Delete every cached step output
+  batch <glob...> [--out=template] [--jobs=N] [--recurse=N] [--overwrite]
+                                    Run the pipeline on every matching file
+                                    (template fields: {dir} {stem} {ext}
+                                    {pipeline} {n})
+  stats [file|#render]              Analyze a WAV (default: last output) or
+                                    show a render's stored stats
+  variations <summary.json>         List the variations kept by --variations
+  variation <summary.json> <rank>   Add a kept variation as a pipeline step
+  renders [N]                       List the last N renders (default 20)
+  rerender <id|file> [in] [out]     Rebuild the pipeline from a render and run
+                                    it again (--load: rebuild only)
+  play_last, play, p [in|<step>|file]
+                                    Play the last output in the background
+                                    (in: the input, <step>: that step's output
+                                    in the last run, which needs the step
+                                    cache); player from config "player" or
+                                    the first found on PATH
+  stop                              Stop playback
+  ab [a] [b] [--rounds=N]           Alternate two sounds (default: in vs
+                                    out; steps and files work too)
   save [name]                       Save pipeline + settings (default: state)
   load [name]                       Load pipeline + settings (default: state)
+  export <file.yaml|json>           Write the pipeline as a pipeline file
+  import <file> [name=value...]     Load a pipeline file (variables optional)
+  undo [N], redo [N]                Undo / redo the last N pipeline changes
+  history                           List recorded pipeline changes
   exit                              Quit the REPL
       `);
       break;
@@ -88,14 +296,14 @@ Available commands:
     case "in":
       if (!args.length) return console.log("Usage: in <file>");
       inputFile = args[0];
-      autosave();
+      recordChange(`in ${inputFile}`, before);
       console.log(`🎧 Input set to: ${inputFile}`);
       break;
 
     case "in_last":
       if (!lastOutput) return console.log("No last output available.");
       inputFile = lastOutput;
-      autosave();
+      recordChange(`in_last ${inputFile}`, before);
       console.log(`🎧 Input set to last output: ${inputFile}`);
       break;
 
@@ -111,91 +319,328 @@ Available commands:
 
     case "list":
       {
-        const all = db.prepare("SELECT id, name, path FROM plugins").all();
-        all.forEach(p => console.log(`- [${p.id}] ${p.name} (${p.path})`));
+        const all = db.prepare("SELECT id, name, path, format FROM plugins").all();
+        all.filter(p => p.format !== "sox").forEach(p => console.log(`- [${p.id}] ${p.name} (${p.path})`));
+        const effects = all.filter(p => p.format === "sox");
+        if (effects.length) console.log(`(+ ${effects.length} built-in sox effects: search sox)`);
       }
       break;
 
     case "show":
-      if (!args.length) return console.log("Usage: show <id>");
+      if (!args.length) return console.log("Usage: show <id|name>");
       {
-        const id = parseInt(args[0], 10);
-        if (isNaN(id)) return console.log("Invalid plugin ID");
-        const plugin = db.prepare("SELECT * FROM plugins WHERE id = ?").get(id);
-        if (!plugin) return console.log(`No plugin found with ID ${id}`);
+        const ref = resolvePluginRef(restAfter(0));
+        if (!ref) return console.log(`No plugin found: ${restAfter(0)}`);
+        const { plugin } = ref;
+        const id = plugin.id;
         console.log(`🎚️  Plugin: ${plugin.name} (${plugin.path})`);
         const params = db.prepare(`
           SELECT * FROM parameters
           WHERE plugin_id = ?
-            AND "values" IS NOT NULL
+            AND kind IS NOT NULL
+            AND kind != 'text'
             AND "name" NOT LIKE 'MIDI CC%'
-            AND TRIM("values") != ''
-            AND TRIM("values") != 'to'
-        `).all(id);
+          ORDER BY param_index
+        `).all(id).map(hydrateParameter);
         if (!params.length) console.log("No usable parameters found.");
-        else params.forEach(p => console.log(`- [${p.param_index}] ${p.name} (default: ${p.default_value}, values: ${p.values})`));
+        else params.forEach(p => console.log(`- [${p.param_index}] ${p.name} — ${describeParameter(p)} (default: ${p.default_value})`));
       }
       break;
 
     case "add": {
-      if (!args.length) return console.log("Usage: add <id> [name:value ...]");
-      const addId = parseInt(args[0], 10);
-      if (isNaN(addId)) return console.log("Invalid plugin ID");
-      const plug = db.prepare("SELECT * FROM plugins WHERE id = ?").get(addId);
-      if (!plug) return console.log(`No plugin found with ID ${addId}`);
-
-      const pluginParams = args.slice(1);
-      pipeline.push({ ...plug, params: pluginParams });
-      autosave();
-      console.log(`✅ Added to pipeline: ${plug.name} ${pluginParams.length ? `(params: ${pluginParams.join(", ")})` : ""}`);
+      if (!args.length) return console.log("Usage: add [--to=<branch>] <id|name> [name:value ...]");
+      let addText = restAfter(0);
+      const toMatch = addText.match(/^--to=(\S+)\s*/);
+      if (toMatch) {
+        const found = pipeline.locate(toMatch[1]);
+        if (found.error) return console.log(found.error);
+        if (found.kind !== "branch") return console.log(`${toMatch[1]} is not a branch (use <step>.<branch>)`);
+        addText = addText.slice(toMatch[0].length);
+      }
+      const ref = resolvePluginRef(addText);
+      if (!ref) return console.log(`No plugin found: ${addText.split(" ")[0]}`);
+      const { plugin: plug, rest: paramText } = ref;
+      const addId = plug.id;
+
+      const catalog = getParameters(addId, { all: true });
+      const { edits, error } = parseStepEdits(addId, paramText, catalog);
+      if (error) return console.log(`❌ ${error}`);
+      const { params: pluginParams, errors } = applyParamEdits([], edits, catalog);
+      if (errors.length) return errors.forEach(e => console.log(`❌ ${e}`));
+
+      pipeline.add({ ...plug, params: pluginParams }, { to: toMatch?.[1] });
+      recordChange(`add ${plug.name}${toMatch ? ` to ${toMatch[1]}` : ""}`, before);
+      console.log(`✅ Added to ${toMatch ? `branch ${toMatch[1]}` : "pipeline"}: ${plug.name} ${pluginParams.length ? `(params: ${pluginParams.join(", ")})` : ""}`);
+      break;
+    }
+
+    case "split": {
+      const usage = "Usage: split [N] [--to=<branch>]";
+      let count = 2;
+      let to = null;
+      for (const a of args) {
+        if (a.startsWith("--to=")) to = a.slice(5);
+        else if (/^\d+$/.test(a) && parseInt(a, 10) >= 1) count = parseInt(a, 10);
+        else return console.log(usage);
+      }
+      try {
+        pipeline.add(createSplit(count), { to });
+      } catch (err) {
+        return console.log(err.message);
+      }
+      const where = to ? ` to branch ${to}` : "";
+      recordChange(`split ${count}${where}`, before);
+      console.log(`⑂ Added a split with ${count} branches${where} (empty branches pass the dry signal)`);
+      break;
+    }
+
+    case "branch": {
+      if (args.length !== 1) return console.log("Usage: branch <step>");
+      const found = pipeline.locate(args[0]);
+      if (found.error) return console.log(found.error);
+      if (found.kind !== "step" || !isSplit(found.step)) return console.log(`Step ${args[0]} is not a split`);
+      found.step.branches.push(createBranch());
+      recordChange(`branch ${args[0]}`, before);
+      console.log(`⑂ Added branch ${args[0]}.${found.step.branches.length}`);
+      break;
+    }
+
+    case "gain": {
+      if (args.length !== 2) return console.log("Usage: gain <step|branch> <dB|off>");
+      const found = pipeline.locate(args[0]);
+      if (found.error) return console.log(found.error);
+      if (found.kind === "step" && isSplit(found.step)) return console.log(`Step ${args[0]} is a split; set gain on its branches`);
+      if (found.kind === "step" && isTrim(found.step)) return console.log(`Step ${args[0]} is a trim step`);
+      const target = found.kind === "branch" ? found.branch : found.step;
+      const gainDb = found.kind === "step" && args[1] === "off" ? null : parseFloat(args[1].replace(/db$/i, ""));
+      if (Number.isNaN(gainDb)) return console.log(`Invalid gain: ${args[1]}`);
+      const prev = target.gain ?? 0;
+      if (gainDb === null) delete target.gain;
+      else target.gain = gainDb;
+      recordChange(`gain ${args[0]} ${formatGain(gainDb ?? 0)}`, before);
+      console.log(`🔊 ${found.kind === "branch" ? "Branch" : "Step"} ${args[0]}: ${formatGain(prev)} -> ${formatGain(gainDb ?? 0)}`);
+      break;
+    }
+
+    case "mix": {
+      if (args.length !== 2) return console.log("Usage: mix <step> <wet%|off>");
+      const { step, error } = pluginStepAt(args[0]);
+      if (error) return console.log(error);
+      const wet = args[1] === "off" ? null : parseFloat(args[1]);
+      if (Number.isNaN(wet) || wet < 0 || wet > 100) return console.log(`Invalid mix: ${args[1]} (0-100% wet)`);
+      if (wet === null || wet === 100) delete step.mix;
+      else step.mix = wet;
+      recordChange(`mix ${args[0]} ${wet ?? 100}%`, before);
+      console.log(`🎚️  ${step.name}: ${wet ?? 100}% wet`);
+      break;
+    }
+
+    case "norm": {
+      if (args.length !== 2) return console.log("Usage: norm <step> <peak|rms|lufs>[:target] | off");
+      const { step, error } = pluginStepAt(args[0]);
+      if (error) return console.log(error);
+      let normalize;
+      try {
+        normalize = parseNormalize(args[1]);
+      } catch (err) {
+        return console.log(`❌ ${err.message}`);
+      }
+      if (normalize) step.normalize = normalize;
+      else delete step.normalize;
+      recordChange(`norm ${args[0]} ${formatNormalize(normalize)}`, before);
+      console.log(`📏 ${step.name}: normalize ${formatNormalize(normalize)}`);
+      break;
+    }
+
+    case "set": {
+      if (!args.length) return console.log(`⚙️  ${formatSettings()}`);
+      if (args.length !== 2) return console.log("Usage: set norm <peak|rms|lufs>[:target]|off | set limit <dB>|auto|off");
+      try {
+        if (args[0] === "norm") settings.normalize = parseNormalize(args[1]);
+        else if (args[0] === "limit") settings.limit = args[1] === "auto" ? "auto" : parseCeiling(args[1]) ?? "off";
+        else return console.log(`Unknown setting: ${args[0]}`);
+      } catch (err) {
+        return console.log(`❌ ${err.message}`);
+      }
+      recordChange(`set ${args[0]} ${args[1]}`, before);
+      console.log(`⚙️  ${formatSettings()}`);
       break;
     }
 
     case "ls":
     case "list_pipeline":
-      if (inputFile) console.log(`🎧 Input: ${inputFile}`);
-      if (!pipeline.length) console.log("Pipeline is empty");
-      else pipeline.forEach((p, i) =>
-        console.log(`${i + 1}. [${p.id}] ${p.name} ${p.params?.length ? `(params: ${p.params.join(", ")})` : ""}`)
-      );
+      printPipeline();
       break;
 
+    case "params": {
+      if (!args.length) return console.log("Usage: params <index>");
+      const { step, error } = pluginStepAt(args[0]);
+      if (error) return console.log(error);
+      const current = paramMap(step.params);
+      const catalog = getParameters(step.id);
+      console.log(`🎚️  ${args[0]}. ${step.name}`);
+      if (!catalog.length) console.log("No catalog parameters (plugin not seeded?)");
+      for (const p of catalog) {
+        const key = [...current.keys()].find(k => k.toLowerCase() === p.name.toLowerCase());
+        const value = key !== undefined ? current.get(key) : null;
+        const shown = value !== null ? `${value} (default: ${p.default_value})` : p.default_value;
+        console.log(`${value !== null ? "*" : " "} [${p.param_index}] ${p.name}: ${shown} — ${describeParameter(p)}`);
+        if (key !== undefined) current.delete(key);
+      }
+      for (const [k, v] of current) console.log(`? ${k}: ${v} (not in catalog)`);
+      break;
+    }
+
     case "mod": {
-      if (args.length < 2) return console.log("Usage: mod <index> name:value ...");
-      const parsedIdx = parseInt(args[0], 10);
-      if (isNaN(parsedIdx)) return console.log("Invalid index");
-      const modIndex = parsedIdx - 1;
-      if (modIndex < 0 || modIndex >= pipeline.length) return console.log("Index out of range");
+      if (args.length < 2) return console.log("Usage: mod <index> name:value ... | -name ... | --clear");
+      const stepPath = args[0];
+      const { step, error: stepError } = pluginStepAt(stepPath);
+      if (stepError) return console.log(stepError);
 
-      // Join everything after the index into a single param string
-      const newParams = [args.slice(1).join(" ")];
+      const prev = step.params || [];
+      let text = restAfter(1);
+      let base = prev;
+      if (text.startsWith("--clear")) {
+        base = [];
+        text = text.slice("--clear".length).trim();
+      }
 
-      const prev = pipeline[modIndex].params || [];
-      pipeline[modIndex].params = newParams;
-      autosave();
+      const catalog = getParameters(step.id, { all: true });
+      const { edits, error } = parseStepEdits(step.id, text, catalog);
+      if (error) return console.log(`❌ ${error}`);
+      const { params: newParams, changes, errors } = applyParamEdits(base, edits, catalog);
+      if (errors.length) return errors.forEach(e => console.log(`❌ ${e}`));
+
+      step.params = newParams;
+      recordChange(`mod ${stepPath} ${changes.map(c => c.name).join(", ") || "(cleared)"}`, before);
 
-      console.log(`✅ Modified pipeline[${parsedIdx}] params`);
-      console.log(`   before: ${prev.length ? prev.join(", ") : "(none)"}`);
-      console.log(`   after:  ${newParams.join(", ")}`);
+      console.log(`✅ Modified pipeline[${stepPath}] params`);
+      if (base !== prev) console.log(`   cleared: ${prev.length ? prev.join(", ") : "(none)"}`);
+      changes.forEach(c => console.log(`   ${c.name}: ${c.before ?? "(default)"} -> ${c.after ?? "(default)"}`));
+      break;
+    }
+
+    case "randomize": {
+      const usage = "Usage: randomize <index> [--seed=N] [--spread=N] [--exclude=pattern ...] [--lock=name ...]";
+      if (!args.length) return console.log(usage);
+      const stepPath = args[0];
+      const { step, error: stepError } = pluginStepAt(stepPath);
+      if (stepError) return console.log(stepError);
+
+      let seed = newSeed();
+      let spread = null;
+      const exclude = [...DEFAULT_EXCLUDE];
+      const lockNames = [];
+      for (const a of args.slice(1)) {
+        const [flag, ...rest] = a.split("=");
+        const value = rest.join("=");
+        if (flag === "--seed" && value) seed = value;
+        else if (flag === "--spread" && !isNaN(parseFloat(value))) spread = parseFloat(value) / 100;
+        else if (flag === "--exclude" && value) exclude.push(value);
+        else if (flag === "--lock" && value) lockNames.push(...value.split(","));
+        else return console.log(usage);
+      }
+
+      const catalog = getParameters(step.id);
+      if (!catalog.length) return console.log("No catalog parameters to randomize (plugin not seeded?)");
+      // locked params keep the step's current value
+      const current = paramMap(step.params);
+      const locked = new Map();
+      for (const name of lockNames) {
+        const key = [...current.keys()].find(k => k.toLowerCase() === name.toLowerCase());
+        if (key === undefined) return console.log(`${name} is not set on step ${stepPath}, nothing to lock`);
+        locked.set(key, current.get(key));
+      }
+
+      step.params = randomizeParams(catalog, { rng: createRng(seed), spread, exclude, locked });
+      step.seed = seed;
+      recordChange(`randomize ${stepPath} seed=${seed}${spread != null ? ` spread=${spread * 100}%` : ""}`, before);
+      console.log(`🎲 Randomized ${step.name} (seed ${seed})`);
+      console.log(`   ${step.params.join(", ")}`);
+      break;
+    }
+
+    case "preset": {
+      const [sub, ...subArgs] = args;
+      switch (sub) {
+        case "save": {
+          if (subArgs.length < 2) return console.log("Usage: preset save <step> <name>");
+          const { step, error } = pluginStepAt(subArgs[0]);
+          if (error) return console.log(error);
+          const preset = savePreset(step.id, subArgs[1], step.params || []);
+          console.log(`💾 Saved preset @${preset.name} for ${step.name} (${Object.keys(preset.params).length} params)`);
+          break;
+        }
+        case "list": {
+          let pluginId;
+          if (subArgs.length) {
+            const ref = resolvePluginRef(subArgs.join(" "));
+            if (!ref) return console.log(`No plugin found: ${subArgs.join(" ")}`);
+            pluginId = ref.plugin.id;
+          }
+          const presets = listPresets(pluginId);
+          if (!presets.length) console.log("No presets");
+          presets.forEach(pr => console.log(`- [${pr.plugin_id}] ${pr.plugin_name} @${pr.name}: ${Object.entries(pr.params).map(([k, v]) => `${k}:${v}`).join(", ")}`));
+          break;
+        }
+        case "rm": {
+          if (subArgs.length < 2) return console.log("Usage: preset rm <plugin> <name>");
+          const ref = resolvePluginRef(subArgs.slice(0, -1).join(" "));
+          if (!ref) return console.log(`No plugin found: ${subArgs.slice(0, -1).join(" ")}`);
+          const name = subArgs[subArgs.length - 1].replace(/^@/, "");
+          console.log(deletePreset(ref.plugin.id, name) ? `🗑️  Deleted preset @${name}` : `No preset "${name}"`);
+          break;
+        }
+        case "export": {
+          if (!subArgs.length) return console.log("Usage: preset export <file> [plugin]");
+          let pluginId;
+          if (subArgs.length > 1) {
+            const ref = resolvePluginRef(subArgs.slice(1).join(" "));
+            if (!ref) return console.log(`No plugin found: ${subArgs.slice(1).join(" ")}`);
+            pluginId = ref.plugin.id;
+          }
+          const count = exportPresets(subArgs[0], pluginId);
+          console.log(`📤 Exported ${count} presets to ${subArgs[0]}`);
+          break;
+        }
+        case "import": {
+          if (!subArgs.length) return console.log("Usage: preset import <file>");
+          try {
+            const { imported, skipped } = importPresets(subArgs[0]);
+            console.log(`📥 Imported ${imported} presets from ${subArgs[0]}`);
+            skipped.forEach(({ preset, reason }) => console.log(`⏭ @${preset.name ?? "?"}: ${reason}`));
+          } catch (err) {
+            console.error("❌ Failed to import presets:", err.message);
+          }
+          break;
+        }
+        default:
+          console.log("Usage: preset save <step> <name> | list [plugin] | rm <plugin> <name> | export <file> [plugin] | import <file>");
+      }
       break;
     }
 
     case "rm":
     case "remove": {
       if (!args.length) return console.log("Usage: remove <index>");
-      const parsedRemove = parseInt(args[0], 10);
-      if (isNaN(parsedRemove)) return console.log("Invalid index");
-      const rmIndex = parsedRemove - 1;
-      if (rmIndex < 0 || rmIndex >= pipeline.length) return console.log("Index out of range");
-      const removed = pipeline.splice(rmIndex, 1)[0];
-      autosave();
-      console.log(`🗑️  Removed: ${removed.name}`);
+      const found = pipeline.locate(args[0]);
+      if (found.error) return console.log(found.error);
+      if (found.kind === "branch") {
+        if (found.split.branches.length === 1) return console.log("A split needs at least one branch (rm the split instead)");
+        pipeline.remove(args[0]);
+        recordChange(`rm branch ${args[0]}`, before);
+        console.log(`🗑️  Removed branch ${args[0]}`);
+        break;
+      }
+      const removedName = stepName(pipeline.remove(args[0]));
+      recordChange(`rm ${args[0]} ${removedName}`, before);
+      console.log(`🗑️  Removed: ${removedName}`);
       break;
     }
 
     case "reset":
-      pipeline = [];
-      autosave();
+      pipeline.clear();
+      recordChange("reset", before);
       console.log("🔄 Pipeline cleared");
       break;
 
@@ -204,13 +649,16 @@ Available commands:
     case "run_pipeline": {
       if (!pipeline.length) return console.log("Pipeline is empty");
 
-      // Extract --recurse=N and remove it from args
+      // Extract --recurse=N and --no-cache and remove them from args
       let recurse = 1;
+      let useCache = true;
       const filteredArgs = [];
       for (const a of args) {
         if (a.startsWith("--recurse")) {
           const parts = a.split("=");
           if (parts[1]) recurse = parseInt(parts[1], 10) || 1;
+        } else if (a === "--no-cache") {
+          useCache = false;
         } else {
           filteredArgs.push(a);
         }
@@ -223,41 +671,293 @@ Available commands:
       ? path.resolve(filteredArgs[1])
       : path.resolve(`out_${Date.now()}.wav`);
 
-      for (let r = 0; r < recurse; r++) {
-        console.log(`🔁 Recursive pass ${r + 1} of ${recurse}`);
-        let currentInput = r === 0 ? initialInput : lastOutput; // use lastOutput as input for next recursion
-        for (let i = 0; i < pipeline.length; i++) {
-          const plug = pipeline[i];
-          const stepOutput = `${currentInput.replace(/(\.wav)$/i, "")}_r${r + 1}_step${i + 1}.wav`;
-          const outputFile = i === pipeline.length - 1 ? finalOutput : stepOutput;
-
-          console.log(`🔹 Step ${i + 1}: ${plug.name} -> ${path.basename(outputFile)}`);
-
-          const cmdArgs = [
-            "process",
-            `--plugin=${plug.path}`,
-            `--input=${currentInput}`,
-            `--output=${outputFile}`,
-            "--overwrite",
-            ...plug.params.map(p => `--param=${p}`)
-          ];
+      activeRun = new AbortController();
+      let result;
+      try {
+        result = await pipeline.run({
+          input: initialInput,
+          output: finalOutput,
+          recurse,
+          signal: activeRun.signal,
+          cache: useCache ? stepCache : null,
+          source: "repl",
+          ...passOptions(),
+        });
+      } catch (err) {
+        return console.error("❌ Failed to run the pipeline:", err.message);
+      } finally {
+        activeRun = null;
+      }
+      if (result.ok) lastOutput = result.output;
 
-          try {
-            await execa(PLUGALYZER, cmdArgs, { stdio: "inherit" });
-          } catch (err) {
-            console.error(`❌ Failed at step ${i + 1}:`, err.shortMessage || err.message);
-            break;
-          }
+      autosave();
+      if (result.ok) console.log(`🎉 Pipeline finished: ${finalOutput} (render #${result.manifest.id})`);
+      break;
+    }
+
+    case "batch": {
+      if (!pipeline.length) return console.log("Pipeline is empty");
+      const opts = { overwrite: false, recurse: 1, concurrency: BATCH_DEFAULTS.concurrency, template: BATCH_DEFAULTS.template };
+      const patterns = [];
+      for (const a of args.filter(Boolean)) {
+        const [flag, value] = a.split(/=(.*)/);
+        if (flag === "--out" && value) opts.template = value;
+        else if (flag === "--jobs") opts.concurrency = parseInt(value, 10);
+        else if (flag === "--recurse") opts.recurse = parseInt(value, 10) || 1;
+        else if (flag === "--overwrite") opts.overwrite = true;
+        else if (a.startsWith("--")) return console.log(`Unknown batch option: ${a}`);
+        else patterns.push(a);
+      }
+      if (!patterns.length) return console.log("Usage: batch <glob...> [--out=template] [--jobs=N] [--recurse=N] [--overwrite]");
+      if (!(opts.concurrency >= 1)) return console.log("--jobs must be a positive number");
+
+      const inputs = expandInputs(patterns);
+      if (!inputs.length) return console.log("No files matched");
+      console.log(`📦 Batch: ${inputs.length} file(s), ${opts.concurrency} at a time`);
+      try {
+        const summary = await runBatch({ ...opts, ...passOptions(), steps: pipeline.steps, inputs, onProgress: printProgress });
+        const last = summary.results.filter(r => r.ok).pop();
+        if (last) lastOutput = last.output;
+        autosave();
+        printSummary(summary);
+      } catch (err) {
+        console.error("❌", err.message);
+      }
+      break;
+    }
 
-          currentInput = outputFile; // next step uses this output
+    case "trim": {
+      const opts = {};
+      const patterns = [];
+      let to = null;
+      for (const a of args.filter(Boolean)) {
+        const [flag, value] = a.split(/=(.*)/);
+        if ((flag === "--threshold" || flag === "--duration") && value) opts[flag.slice(2)] = value;
+        else if (flag === "--to" && value) to = value;
+        else if (a.startsWith("--")) return console.log(`Unknown trim option: ${a}`);
+        else patterns.push(a);
+      }
+
+      const where = to ? ` to branch ${to}` : "";
+      if (!patterns.length) {
+        const step = createTrim(opts);
+        try {
+          pipeline.add(step, { to });
+        } catch (err) {
+          return console.log(err.message);
         }
+        recordChange(`trim${where}`, before);
+        console.log(`✂️  Added a trim step${where}${formatTrim(step) ? ` (${formatTrim(step)})` : ""}`);
+        break;
+      }
+      if (where) return console.log("--to only applies when adding a trim step");
+      const files = expandInputs(patterns);
+      if (!files.length) return console.log("No files matched");
+      try {
+        const outputs = await trimFiles(files, {
+          ...opts,
+          onTrim: (file, output) => console.log(`✂️  ${path.basename(file)} -> ${path.basename(output)}`),
+        });
+        lastOutput = outputs[outputs.length - 1];
+        autosave();
+      } catch (err) {
+        console.error("❌", err.shortMessage || err.message);
+      }
+      break;
+    }
 
-        lastOutput = finalOutput; // after each recursion, update lastOutput
-        console.log(`✅ Completed recursive pass ${r + 1}`);
+    case "join": {
+      const usage = "Usage: join <glob...> [--out=file] [--gap=len] [--crossfade=s] [--fade=s] [--order=o] [--seed=N] [--trim] [--keep-trimmed]";
+      const opts = { output: `join_${Date.now()}.wav` };
+      let trim = false;
+      const patterns = [];
+      for (const a of args.filter(Boolean)) {
+        const [flag, value] = a.split(/=(.*)/);
+        if (flag === "--out" && value) opts.output = value;
+        else if (flag === "--gap" && value) opts.gap = value;
+        else if ((flag === "--crossfade" || flag === "--fade") && value) opts[flag.slice(2)] = parseFloat(value);
+        else if (flag === "--order" && value) opts.order = value;
+        else if (flag === "--seed" && value) opts.seed = value;
+        else if (flag === "--trim") trim = true;
+        else if (flag === "--keep-trimmed") opts.keepTrimmed = true;
+        else if (a.startsWith("--")) return console.log(`Unknown join option: ${a}\n${usage}`);
+        else patterns.push(a);
+      }
+      if (!patterns.length) return console.log(usage);
+      if ([opts.crossfade, opts.fade].some(x => Number.isNaN(x) || x < 0)) return console.log("--crossfade and --fade take seconds");
+      try {
+        if (opts.gap) parseGap(opts.gap);
+      } catch (err) {
+        return console.log(`❌ ${err.message}`);
       }
+      const files = expandInputs(patterns);
+      if (!files.length) return console.log("No files matched");
 
-      autosave();
-      console.log(`🎉 Pipeline finished: ${finalOutput}`);
+      console.log(`🔗 Joining ${files.length} file(s)${trim ? " after trimming silence" : ""}`);
+      try {
+        const result = trim
+          ? await trimAndJoin(files, { ...opts, onTrim: (file, output) => console.log(`✂️  ${path.basename(file)} -> ${path.basename(output)}`) })
+          : await joinFiles(files, opts);
+        lastOutput = result.output;
+        autosave();
+        console.log(`🎉 Joined ${result.files.length} clips (${result.duration.toFixed(2)}s, order: ${opts.order || JOIN_DEFAULTS.order}) -> ${result.output}`);
+      } catch (err) {
+        console.error("❌", err.shortMessage || err.message);
+      }
+      break;
+    }
+
+    case "slice": {
+      const usage = "Usage: slice [file] [--threshold=dB] [--duration=s] [--min=s] [--max=s] [--preroll=s] [--padding=s] [--normalize[=dB]] [--out=dir]";
+      const opts = {};
+      // flag -> sliceFile option (seconds)
+      const seconds = { "--min": "minLength", "--max": "maxLength", "--preroll": "preroll", "--padding": "padding" };
+      let file = null;
+      for (const a of args.filter(Boolean)) {
+        const [flag, value] = a.split(/=(.*)/);
+        if ((flag === "--threshold" || flag === "--duration") && value) opts[flag.slice(2)] = value;
+        else if (seconds[flag] && value) {
+          opts[seconds[flag]] = parseFloat(value);
+          if (!(opts[seconds[flag]] >= 0)) return console.log(`Invalid ${flag}: ${value} (seconds)`);
+        } else if (flag === "--normalize") {
+          opts.normalize = value ? parseFloat(value.replace(/db$/i, "")) : NORMALIZE_TARGETS.peak;
+          if (Number.isNaN(opts.normalize) || opts.normalize > 0) return console.log(`Invalid peak target: ${value} (dBFS, at most 0)`);
+        } else if (flag === "--out" && value) opts.outputDir = value;
+        else if (a.startsWith("--") || file) return console.log(usage);
+        else file = a;
+      }
+      file = file || lastOutput;
+      if (!file) return console.log(usage);
+      if (!fs.existsSync(file)) return console.log(`No such file: ${file}`);
+      try {
+        if (opts.threshold) parseThreshold(opts.threshold);
+        console.log(`🔪 Slicing ${path.basename(file)}`);
+        const manifest = await sliceFile(file, {
+          ...opts,
+          onSlice: s => console.log(`   ${path.basename(s.file)} ${s.start.toFixed(3)}s - ${s.end.toFixed(3)}s${s.truncated ? " (cut at --max)" : ""}`),
+        });
+        const dropped = manifest.detected - manifest.slices.length;
+        console.log(`🎉 ${manifest.slices.length} slice(s)${dropped ? ` (${dropped} too short)` : ""}, manifest: ${manifest.file}`);
+      } catch (err) {
+        console.error("❌", err.shortMessage || err.message);
+      }
+      break;
+    }
+
+    case "cache": {
+      const sub = args[0];
+      if (sub === "stats") {
+        const { entries, bytes, hits, maxBytes, dir } = stepCache.stats();
+        console.log(`🗄️  ${dir}`);
+        console.log(`   ${entries} step output(s), ${formatSize(bytes)} of ${formatSize(maxBytes)}, ${hits} hit(s)`);
+      } else if (sub === "clear") {
+        const { entries, bytes } = stepCache.clear();
+        console.log(`🧹 Cleared ${entries} cached step output(s) (${formatSize(bytes)})`);
+      } else {
+        console.log("Usage: cache stats | cache clear");
+      }
+      break;
+    }
+
+    case "stats": {
+      const ref = args[0] || lastOutput;
+      if (!ref) return console.log("Usage: stats [file|#render]");
+      let stats;
+      if (/^#?\d+$/.test(ref)) {
+        stats = getRenderStats(parseInt(ref.replace("#", ""), 10));
+        if (!stats) return console.log(`No stats stored for render ${ref}`);
+      } else {
+        try {
+          stats = analyzeFile(ref);
+        } catch (err) {
+          return console.log(`❌ ${err.message}`);
+        }
+      }
+      console.log(`📊 ${stats.file || ref}`);
+      formatStats(stats).forEach(line => console.log(`   ${line}`));
+      const reasons = checkQuality(stats);
+      console.log(reasons.length ? `⚠️  ${reasons.join(", ")}` : "✅ Passes the quality checks");
+      break;
+    }
+
+    case "variations": {
+      if (!args.length) return console.log("Usage: variations <summary.json>");
+      let summary;
+      try {
+        summary = loadSummary(args[0]);
+      } catch (err) {
+        return console.log(`❌ ${err.message}`);
+      }
+      console.log(`🧪 ${summary.kept.length} kept of ${summary.rendered} variations of ${path.basename(summary.input)}`);
+      summary.kept.forEach(v => console.log(`${v.rank}. ${path.basename(v.file)} score ${v.score} [${v.plugin.id}] ${v.plugin.name} (params: ${v.params.join(", ")})`));
+      break;
+    }
+
+    case "variation": {
+      if (args.length !== 2) return console.log("Usage: variation <summary.json> <rank>");
+      let summary;
+      try {
+        summary = loadSummary(args[0]);
+      } catch (err) {
+        return console.log(`❌ ${err.message}`);
+      }
+      const entry = summary.kept.find(v => v.rank === parseInt(args[1], 10));
+      if (!entry) return console.log(`No kept variation ranked ${args[1]}`);
+      // the render has the full step (staging included); fall back to the summary
+      const render = (entry.render && loadRender(entry.render)) || loadRender(entry.file);
+      const { steps, warnings } = render
+        ? stepsFromRender(render)
+        : stepsFromRender({ steps: [{ ...entry.plugin, plugin_id: entry.plugin.id, params: entry.params, seed: entry.seed }] });
+      warnings.forEach(w => console.log(`⚠️ ${w}`));
+      steps.forEach(step => pipeline.add(step));
+      recordChange(`variation ${path.basename(args[0])} #${entry.rank}`, before);
+      console.log(`✅ Added variation ${entry.rank}: ${steps.map(s => s.name).join(", ")} (params: ${steps[0].params.join(", ")})`);
+      break;
+    }
+
+    case "renders": {
+      const rows = listRenders(args.length ? parseInt(args[0], 10) || 20 : 20);
+      if (!rows.length) return console.log("No renders recorded");
+      rows.reverse().forEach(r => {
+        const when = new Date(r.created_at * 1000).toLocaleString();
+        console.log(`${{ ok: "✅", rejected: "🚫", cancelled: "⏹️" }[r.status] || "❌"} #${r.id} ${when} [${r.source}] ${path.basename(r.input)} -> ${path.basename(r.output)}${r.recurse > 1 ? ` x${r.recurse}` : ""} (${(r.duration_ms / 1000).toFixed(1)}s)`);
+      });
+      break;
+    }
+
+    case "rerender": {
+      if (!args.length) return console.log("Usage: rerender <id|sidecar|output> [--load] [in] [out]");
+      const render = loadRender(args[0]);
+      if (!render) return console.log(`No render found: ${args[0]}`);
+      const loadOnly = args.includes("--load");
+      const [rerenderIn, rerenderOut] = args.slice(1).filter(a => a !== "--load");
+
+      // rebuild the pipeline and its pass settings from the render so it can
+      // be tweaked afterwards (renders without a limiter ran with it off)
+      const { steps, warnings } = stepsFromRender(render);
+      pipeline.steps = steps;
+      inputFile = rerenderIn || render.input;
+      settings = { ...settings, normalize: render.normalize || null, limit: render.limit ?? "off" };
+      recordChange(`rerender ${render.id}`, before);
+      if (loadOnly) {
+        warnings.forEach(w => console.log(`⚠️ ${w}`));
+        console.log(`📂 Loaded render #${render.id} (recurse: ${render.recurse})`);
+        printPipeline();
+        break;
+      }
+
+      try {
+        const result = await rerender(render, {
+          input: rerenderIn,
+          output: rerenderOut ? path.resolve(rerenderOut) : undefined,
+          cache: stepCache,
+        });
+        if (result.ok) lastOutput = result.output;
+        autosave();
+        if (result.ok) console.log(`🎉 Re-rendered: ${result.output} (render #${result.manifest.id})`);
+      } catch (err) {
+        console.error("❌ Failed to re-render:", err.message);
+      }
       break;
     }
 
@@ -268,20 +968,110 @@ Available commands:
 
     case "l":
     case "load":
-      loadState(args[0] || "state");
+      if (loadState(args[0] || "state")) recordChange(`load ${args[0] || "state"}`, before);
       break;
 
-    case "play_last":
-    case "play":
-    case "p":
-      if (!lastOutput) return console.log("No output file generated yet.");
-      console.log(`▶️ Playing ${lastOutput}`);
+    case "export": {
+      if (args.length !== 1) return console.log("Usage: export <file.yaml|file.json>");
+      if (!pipeline.length) return console.log("Pipeline is empty");
       try {
-        await execa("afplay", [lastOutput], { stdio: "inherit" });
+        savePipelineFile(args[0], toPipelineFile({ steps: pipeline.steps, ...passOptions() }, { input: inputFile }));
+        console.log(`💾 Exported pipeline to ${args[0]}`);
       } catch (err) {
-        console.error("❌ Failed to play:", err.shortMessage || err.message);
+        console.error("❌", err.message);
       }
       break;
+    }
+
+    case "import": {
+      if (!args.length) return console.log("Usage: import <file.yaml|file.json> [name=value...]");
+      const vars = {};
+      for (const a of args.slice(1)) {
+        const [name, value] = a.split(/=(.*)/);
+        if (value === undefined) return console.log(`Expected name=value, got ${a}`);
+        vars[name] = value;
+      }
+      let resolved;
+      try {
+        resolved = resolvePipelineFile(loadPipelineFile(args[0]), { vars });
+      } catch (err) {
+        return console.log(`❌ ${err.message}`);
+      }
+      resolved.warnings.forEach(w => console.log(`⚠️ ${w}`));
+      if (resolved.errors.length) {
+        console.log(`❌ ${args[0]} is invalid:`);
+        return resolved.errors.forEach(e => console.log(`   ${e}`));
+      }
+      pipeline.steps = resolved.pipeline.steps;
+      if (resolved.input) inputFile = resolved.input;
+      const { normalize, limit } = resolved.pipeline;
+      settings = { ...settings, normalize, limit: limit === undefined ? "auto" : limit === null ? "off" : limit };
+      recordChange(`import ${path.basename(args[0])}`, before);
+      console.log(`📂 Imported ${args[0]}${resolved.recurse > 1 ? ` (written for --recurse=${resolved.recurse})` : ""}`);
+      printPipeline();
+      break;
+    }
+
+    case "undo":
+    case "redo": {
+      const n = args.length ? parseInt(args[0], 10) : 1;
+      if (isNaN(n) || n < 1) return console.log(`Usage: ${command} [N]`);
+      const result = command === "undo" ? undoStack.undo(n) : undoStack.redo(n);
+      if (!result) return console.log(`Nothing to ${command}`);
+      restore(result.state);
+      autosave();
+      (result.undone || result.redone).forEach(e => console.log(`${command === "undo" ? "↩️" : "↪️"}  ${e.label}`));
+      printPipeline();
+      break;
+    }
+
+    case "history": {
+      const entries = undoStack.entries();
+      if (!entries.length) return console.log("No changes recorded");
+      entries.forEach((e, i) => {
+        const when = new Date(e.at).toLocaleTimeString();
+        console.log(`${e.undone ? "  (undone)" : `${String(i + 1).padStart(3)}.`} ${when}  ${e.label}`);
+      });
+      break;
+    }
+
+    case "play_last":
+    case "play":
+    case "p": {
+      const found = resolveAudio(command === "play_last" ? "out" : args[0]);
+      if (found.error) return console.log(found.error);
+      const backend = playerName();
+      if (!backend) break;
+      console.log(`▶️  Playing ${found.label}: ${found.file} (${backend}; stop to end)`);
+      player.play(found.file, { label: found.label })
+        .catch(err => console.error("❌ Failed to play:", err.message));
+      break;
+    }
+
+    case "stop":
+      if (!player.stop()) console.log("Nothing is playing");
+      else console.log("⏹️  Stopped");
+      break;
+
+    case "ab": {
+      const usage = "Usage: ab [a] [b] [--rounds=N]   (a, b: in, out, a step or a file; default in vs out)";
+      let rounds = 2;
+      const refs = [];
+      for (const a of args.filter(Boolean)) {
+        if (a.startsWith("--rounds=")) rounds = parseInt(a.slice(9), 10);
+        else if (a.startsWith("--") || refs.length === 2) return console.log(usage);
+        else refs.push(a);
+      }
+      if (!(rounds >= 1)) return console.log(usage);
+      const [a, b] = [resolveAudio(refs[0] || "in"), resolveAudio(refs[1] || "out")];
+      if (a.error || b.error) return console.log(a.error || b.error);
+      const backend = playerName();
+      if (!backend) break;
+      console.log(`🔁 A/B via ${backend}, ${rounds} round(s); stop to end`);
+      player.playSequence([{ file: a.file, label: `A (${a.label})` }, { file: b.file, label: `B (${b.label})` }], { rounds })
+        .catch(err => console.error("❌ Failed to play:", err.message));
+      break;
+    }
 
     case "exit":
       rl.close();
@@ -295,6 +1085,7 @@ Available commands:
 });
 
 rl.on("close", () => {
+  player.stop();
   console.log("Goodbye! 👋");
   process.exit(0);
 });
@@ -0,0 +1,403 @@
+import { execa } from "execa";
+import fs from "fs";
+import path from "path";
+import { analyzeAsync } from "./analysis.js";
+import { backendFor, createBackend } from "./backends.js";
+import { CACHE_DEFAULTS, cacheKey } from "./cache.js";
+import { config } from "./config.js";
+import { dbToGain, isSplit, isTrim, mapSteps, stepName, stepStaging } from "./graph.js";
+import { LIMITER_DEFAULTS, limiterEffect, measureLevels, normalizeEffect } from "./levels.js";
+import { describeStep, hashFile, saveRender, stepsFromRender } from "./renders.js";
+import { trimEffects } from "./truncate_silence.js";
+
+const ANALYZE_RENDERS = config.analyzeRenders ?? true;
+
+// Where runs keep their intermediates (see runChain)
+export const SCRATCH_ROOT = path.resolve(CACHE_DEFAULTS.workDir, "tmp");
+
+const num = x => String(+x.toFixed(6));
+
+// out.wav -> out_<tag>.wav
+const withSuffix = (file, tag) => {
+  const ext = path.extname(file);
+  return `${file.slice(0, file.length - ext.length)}_${tag}${ext}`;
+};
+
+export const quoteArgs = args => args.map(a => `"${a}"`).join(" ");
+
+// What a step's output depends on, for cache keys: plugin identity,
+// resolved params (not the seed that produced them) and backend, trim
+// settings, or a split's branches
+const stepIdentity = (step, backend) => {
+  if (isSplit(step)) return { type: "split", branches: step.branches.map(b => ({ gain: b.gain || 0, steps: b.steps.map(s => stepIdentity(s, backend)) })) };
+  if (isTrim(step)) return { type: "trim", effects: trimEffects(step) };
+  const { seed, ...identity } = describeStep(step);
+  return { ...identity, ...backendFor(step, backend).identity };
+};
+
+// Run a chain of plugin steps `recurse` times, each pass feeding its
+// output back in. outputFor(pass, step, currentInput) names each top-level
+// step's output; it defaults to intermediates in a scratch directory of the
+// run's own under the work directory (see cache.js), with the very last
+// step writing `output`. Split branches and wet/staged files always go
+// there; it is removed when the run ends. Splits (see graph.js) run their branches
+// concurrently and mix them with sox; trim steps strip silence with sox.
+// Plugin steps run on `backend` (see backends.js; default: the configured
+// one), sox effect steps on sox. Stops at the first failing step. Every
+// run is recorded as a render (renders table + sidecar).
+//
+// Gain staging: steps may carry mix (wet %), gain (dB) and normalize (see
+// levels.js), applied right after the plugin. `normalize` here applies at
+// the end of every pass, followed by the safety limiter at `limit` dBFS
+// (default: on for recursive runs; null turns it off). The limiter also
+// stops the recursion early once a pass has decayed into silence.
+//
+// With a `cache` (see cache.js) every step output, branch steps included,
+// goes to the cache under a key chained from the input's hash, and steps
+// whose output is already there are skipped; outputFor is then ignored and
+// the final file is copied to `output`.
+//
+// The final output is analyzed (levels, loudness, clipping, ...) unless
+// `analyze` is false; the stats end up in the manifest and render_stats.
+//
+// An aborted `signal` kills the running command and ends the run as
+// "cancelled". onProgress gets { type: "step", status: "start" | "done" |
+// "cached", pass, label, name } and { type: "pass", status: "start" |
+// "done", pass, recurse } events (see Pipeline in pipeline.js).
+//
+// Returns { ok, output, manifest, cancelled }.
+export async function runChain(options) {
+  const scratch = createScratch();
+  const usedKeys = new Set(); // cache entries this run reads or writes
+  const release = options.cache?.hold(usedKeys);
+  try {
+    return await runInScratch(options, { scratch: scratch.file, usedKeys });
+  } finally {
+    release?.();
+    scratch.remove();
+  }
+}
+
+// Files of one run under <workDir>/tmp/run-XXXXXX; the directory is made on
+// first use
+function createScratch() {
+  let dir = null;
+  return {
+    file: name => {
+      if (!dir) {
+        fs.mkdirSync(SCRATCH_ROOT, { recursive: true });
+        dir = fs.mkdtempSync(path.join(SCRATCH_ROOT, "run-"));
+      }
+      return path.join(dir, name);
+    },
+    remove: () => {
+      if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+async function runInScratch({
+  steps,
+  input,
+  output,
+  recurse = 1,
+  overwrite = true,
+  outputFor,
+  seed = null,
+  source = "repl",
+  verbose = false,
+  stdio = "inherit",
+  normalize = null,
+  limit,
+  analyze = ANALYZE_RENDERS,
+  cache = null,
+  backend = createBackend(),
+  signal = null,
+  onProgress = () => {},
+  log = console.log,
+}, { scratch, usedKeys }) {
+  const started = Date.now();
+  const ceiling = limit === undefined ? (recurse > 1 ? LIMITER_DEFAULTS.ceiling : null) : limit;
+  const resolvedInput = path.resolve(input);
+  const finalOutput = path.resolve(output);
+  const nameOutput = outputFor || ((pass, step) =>
+    pass === recurse - 1 && step === steps.length - 1 ? finalOutput : scratch(`r${pass + 1}_step${step + 1}.wav`));
+
+  const commands = [];
+  const inputHash = await hashFile(resolvedInput);
+
+  // Run and record one command; `output` is the file it writes. A dry run
+  // (dryRun: the input file) only prints the command and copies the input.
+  const exec = async (binary, args, { pass, label, name, output, dryRun = null }) => {
+    if (verbose || dryRun) log(dryRun ? "🧪 Dry run:" : binary, dryRun ? `${binary} ${quoteArgs(args)}` : quoteArgs(args));
+    const command = { pass: pass + 1, step: label, binary, args, output, exit_code: null, duration_ms: 0, ...(dryRun ? { dry_run: true } : {}) };
+    commands.push(command);
+    const t0 = Date.now();
+    try {
+      if (dryRun) {
+        fs.copyFileSync(dryRun, output);
+        command.exit_code = 0;
+        return;
+      }
+      const result = await execa(binary, args, { stdio, cancelSignal: signal ?? undefined });
+      command.exit_code = result.exitCode;
+    } catch (err) {
+      command.exit_code = err.exitCode ?? null;
+      if (err.isCanceled) throw Object.assign(new Error(`step ${label} (${name}) cancelled`), { label, reason: "cancelled" });
+      let message = `step ${label} (${name}), pass ${pass + 1}: ${err.shortMessage || err.message}`;
+      if (err.stderr) message += `\n${err.stderr.trim()}`;
+      throw Object.assign(new Error(message), { label, reason: err.shortMessage || err.message });
+    } finally {
+      command.duration_ms = Date.now() - t0;
+    }
+  };
+
+  const runStep = async (step, stepInput, stepOutput, ctx) => {
+    if (isSplit(step)) return runSplit(step, stepInput, stepOutput, ctx);
+    if (isTrim(step)) {
+      log(`✂️  Step ${ctx.label}: trim silence -> ${path.basename(stepOutput)}`);
+      return exec("sox", [stepInput, stepOutput, ...trimEffects(step)], { ...ctx, name: "trim", output: stepOutput });
+    }
+    const staged = Object.keys(stepStaging(step)).length > 0;
+    const pluginOutput = staged ? scratch(path.basename(withSuffix(stepOutput, "wet"))) : stepOutput;
+    log(`🔹 Step ${ctx.label}: ${step.name} -> ${path.basename(stepOutput)}`);
+    const stepBackend = backendFor(step, backend);
+    let command;
+    try {
+      command = stepBackend.command(step, { input: stepInput, output: pluginOutput, overwrite });
+    } catch (err) {
+      throw Object.assign(new Error(`step ${ctx.label} (${step.name}): ${err.message}`), { label: ctx.label, reason: err.message });
+    }
+    await exec(command.binary, command.args, {
+      ...ctx,
+      name: step.name,
+      output: pluginOutput,
+      dryRun: stepBackend.dryRun ? stepInput : null,
+    });
+    if (staged) await stageStep(step, stepInput, pluginOutput, stepOutput, ctx);
+  };
+
+  // runStep through the cache: ctx.key is the cache key of the step's
+  // input (null: no caching). Returns { output, key }.
+  const cachedStep = async (step, stepInput, stepOutput, ctx) => {
+    signal?.throwIfAborted();
+    const event = { type: "step", pass: ctx.pass + 1, label: ctx.label, name: stepName(step) };
+    const t0 = Date.now();
+    if (!cache || ctx.key == null) {
+      onProgress({ ...event, status: "start" });
+      await runStep(step, stepInput, stepOutput, ctx);
+      onProgress({ ...event, status: "done", output: stepOutput, duration_ms: Date.now() - t0 });
+      return { output: stepOutput, key: null };
+    }
+    const key = cacheKey(ctx.key, stepIdentity(step, backend));
+    usedKeys.add(key);
+    const hit = cache.lookup(key);
+    if (hit) {
+      log(`♻️  Step ${ctx.label}: ${stepName(step)} (cached)`);
+      commands.push({ pass: ctx.pass + 1, step: ctx.label, binary: null, args: [], output: hit, cached: true, exit_code: 0, duration_ms: 0 });
+      onProgress({ ...event, status: "cached", output: hit, duration_ms: 0 });
+      return { output: hit, key };
+    }
+    onProgress({ ...event, status: "start" });
+    const output = cache.pathFor(key);
+    try {
+      await runStep(step, stepInput, output, { ...ctx, key });
+    } catch (err) {
+      fs.rmSync(output, { force: true });
+      throw err;
+    }
+    cache.store(key, output);
+    onProgress({ ...event, status: "done", output, duration_ms: Date.now() - t0 });
+    return { output, key };
+  };
+
+  // Wet/dry mix against the step's own input and output gain in one sox
+  // call, then normalization
+  const stageStep = async (step, dry, wet, output, ctx) => {
+    const mix = (step.mix ?? 100) / 100;
+    const gain = dbToGain(step.gain || 0);
+    let current = wet;
+    if (mix < 1 || step.gain) {
+      const target = step.normalize ? scratch(path.basename(withSuffix(output, "staged"))) : output;
+      await exec("sox", mix < 1
+        ? ["-m", "-v", num(mix * gain), wet, "-v", num((1 - mix) * gain), dry, target]
+        : ["-v", num(gain), wet, target], { ...ctx, name: `${step.name} mix/gain`, output: target });
+      current = target;
+    }
+    if (step.normalize) {
+      const effect = await normalizeEffect(current, step.normalize);
+      await exec("sox", [current, output, ...(effect || [])], { ...ctx, name: `${step.name} normalize`, output });
+    }
+  };
+
+  // End of a pass: normalization and the limiter, rewriting the pass output
+  // in place (cached outputs are never touched; the result becomes an entry
+  // of its own). Returns { file, key, peak }, peak when the limiter is on.
+  const finishPass = async (file, pass, key) => {
+    let result = { file, key, peak: null };
+    if (normalize || ceiling != null) {
+      const passKey = cache && key != null ? cacheKey(key, { normalize, limit: ceiling }) : null;
+      if (passKey) usedKeys.add(passKey);
+      const hit = passKey && cache.lookup(passKey);
+      if (hit) {
+        result = { file: hit, key: passKey };
+      } else {
+        const effects = [
+          ...(normalize ? await normalizeEffect(file, normalize) || [] : []),
+          ...(ceiling != null ? limiterEffect(ceiling) : []),
+        ];
+        if (effects.length) {
+          const staged = passKey ? cache.pathFor(passKey) : withSuffix(file, "pass");
+          await exec("sox", [file, staged, ...effects], { pass, label: "pass", name: "pass staging", output: passKey ? staged : file });
+          if (passKey) {
+            cache.store(passKey, staged);
+            result = { file: staged, key: passKey };
+          } else {
+            fs.renameSync(staged, file);
+          }
+        }
+      }
+    }
+    return { ...result, peak: ceiling != null ? (await measureLevels(result.file)).peak_db : null };
+  };
+
+  // Branches run side by side on the split's input, then get summed at
+  // their gains. Intermediates go to the scratch directory, named after the
+  // mix output, which is unique even for nested splits; cached branches
+  // chain their keys from the split's own.
+  const runSplit = async (split, splitInput, splitOutput, ctx) => {
+    if (!split.branches.length) throw new Error(`step ${ctx.label}: split has no branches`);
+    const base = scratch(path.basename(splitOutput).replace(/(\.wav)$/i, ""));
+    const settled = await Promise.allSettled(split.branches.map(async (branch, b) => {
+      let current = splitInput;
+      let key = ctx.key != null ? cacheKey(ctx.key, { branch: b }) : null;
+      for (let j = 0; j < branch.steps.length; j++) {
+        const out = `${base}_b${b + 1}_step${j + 1}.wav`;
+        ({ output: current, key } = await cachedStep(branch.steps[j], current, out, { ...ctx, label: `${ctx.label}.${b + 1}.${j + 1}`, key }));
+      }
+      return current;
+    }));
+    const failed = settled.find(r => r.status === "rejected");
+    if (failed) throw failed.reason;
+
+    log(`🔀 Mix ${ctx.label}: ${split.branches.length} branches -> ${path.basename(splitOutput)}`);
+    const soxArgs = split.branches.length > 1 ? ["-m"] : [];
+    split.branches.forEach((branch, b) => soxArgs.push("-v", num(dbToGain(branch.gain || 0)), settled[b].value));
+    await exec("sox", [...soxArgs, splitOutput], { ...ctx, name: "mix", output: splitOutput });
+  };
+
+  let error = null;
+  let cancelled = false;
+  let currentInput = resolvedInput;
+  let currentKey = cache ? inputHash : null;
+
+  passes:
+  for (let r = 0; r < recurse; r++) {
+    if (recurse > 1) log(`🔁 Recursive pass ${r + 1} of ${recurse}`);
+    onProgress({ type: "pass", status: "start", pass: r + 1, recurse });
+    for (let i = 0; i < steps.length; i++) {
+      const outputFile = nameOutput(r, i, currentInput);
+      try {
+        // next step uses this output
+        ({ output: currentInput, key: currentKey } = await cachedStep(steps[i], currentInput, outputFile, { pass: r, label: String(i + 1), key: currentKey }));
+      } catch (err) {
+        cancelled = !!signal?.aborted;
+        error = cancelled ? "cancelled" : err.message;
+        if (cancelled) log(`⏹️  Cancelled at step ${err.label || i + 1}`);
+        else log(`❌ Failed at step ${err.label || i + 1}:`, err.reason || err.message);
+        break passes;
+      }
+    }
+
+    let peak = null;
+    try {
+      ({ file: currentInput, key: currentKey, peak } = await finishPass(currentInput, r, currentKey));
+    } catch (err) {
+      cancelled = !!signal?.aborted;
+      error = cancelled ? "cancelled" : err.message;
+      log(cancelled ? `⏹️  Cancelled finishing pass ${r + 1}` : `❌ Failed finishing pass ${r + 1}: ${err.reason || err.message}`);
+      break;
+    }
+    if (recurse > 1) log(`✅ Completed recursive pass ${r + 1}`);
+    onProgress({ type: "pass", status: "done", pass: r + 1, recurse, peak });
+
+    if (peak != null && peak < LIMITER_DEFAULTS.silenceFloor && r < recurse - 1) {
+      log(`🔇 Pass ${r + 1} decayed into silence (peak ${isFinite(peak) ? peak : "-inf"} dB), stopping early`);
+      if (currentInput !== finalOutput) {
+        fs.copyFileSync(currentInput, finalOutput);
+        currentInput = finalOutput;
+      }
+      break;
+    }
+  }
+
+  // cached runs end inside the cache; the caller gets its own copy
+  if (!error && currentInput !== finalOutput) {
+    fs.copyFileSync(currentInput, finalOutput);
+    currentInput = finalOutput;
+  }
+  if (cache) {
+    const evicted = cache.evict();
+    if (evicted.entries) log(`🧹 Cache over its size limit: evicted ${evicted.entries} old step output(s)`);
+  }
+
+  // analysis of the final output (analysis.js), stored with the render
+  let stats = null;
+  if (!error && analyze && /\.wav$/i.test(currentInput)) {
+    try {
+      stats = await analyzeAsync("file", currentInput);
+    } catch (err) {
+      log(`⚠️ Could not analyze ${path.basename(currentInput)}: ${err.message}`);
+    }
+  }
+
+  const finished = Date.now();
+  const manifest = saveRender({
+    source,
+    input: resolvedInput,
+    input_hash: inputHash,
+    output: error ? finalOutput : currentInput,
+    recurse,
+    seed,
+    normalize,
+    limit: ceiling,
+    steps: mapSteps(steps, describeStep),
+    commands,
+    started_at: started,
+    finished_at: finished,
+    duration_ms: finished - started,
+    status: cancelled ? "cancelled" : error ? "failed" : "ok",
+    error,
+    ...(stats ? { stats } : {}),
+  });
+
+  return { ok: !error, output: currentInput, manifest, cancelled };
+}
+
+// Re-run a recorded render manifest (see loadRender). The input defaults to
+// the recorded one; a changed input hash is reported, not refused.
+export async function rerender(render, { input, output, source = "rerender", cache = null, log = console.log } = {}) {
+  const { steps, warnings } = stepsFromRender(render);
+  warnings.forEach(w => log(`⚠️ ${w}`));
+
+  const inputFile = input || render.input;
+  if (!input && render.input_hash) {
+    const hash = await hashFile(inputFile);
+    if (!hash) throw new Error(`Recorded input is gone: ${inputFile}`);
+    if (hash !== render.input_hash) log(`⚠️ ${inputFile} changed since render ${render.id}`);
+  }
+
+  log(`🔂 Re-rendering #${render.id}: ${steps.map(stepName).join(" -> ")}`);
+  return runChain({
+    steps,
+    input: inputFile,
+    output: output || `out_${Date.now()}.wav`,
+    recurse: render.recurse || 1,
+    seed: render.seed,
+    normalize: render.normalize || null,
+    limit: render.limit ?? null,
+    source,
+    cache,
+    log,
+  });
+}
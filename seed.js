@@ -1,153 +1,277 @@
-import { execa } from "execa";
-import Database from "better-sqlite3";
 import fs from "fs";
-import path from "path";
-
-const PLUGIN_DIRS = [
-  "/Library/Audio/Plug-Ins/VST3",
-  "/Library/Audio/Plug-Ins/Components",
-];
-
-const PLUGALYZER = "Plugalyzer";
-const db = new Database("plugins.db");
-
-db.exec(`
-CREATE TABLE IF NOT EXISTS plugins (
-  id INTEGER PRIMARY KEY,
-  path TEXT UNIQUE,
-  name TEXT,
-  last_scanned INTEGER
-);
-CREATE TABLE IF NOT EXISTS parameters (
-  plugin_id INTEGER,
-  param_index INTEGER,
-  name TEXT,
-  "values" TEXT,
-  default_value TEXT,
-  supports_text BOOLEAN DEFAULT 0,
-  PRIMARY KEY(plugin_id, param_index),
-  FOREIGN KEY(plugin_id) REFERENCES plugins(id)
-);
-`);
-
-function findPlugins(dir) {
-  let plugins = [];
-  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
-    const fullPath = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      if (entry.name.endsWith(".vst3") || entry.name.endsWith(".component")) {
-        plugins.push(fullPath);
-      } else {
-        plugins.push(...findPlugins(fullPath));
-      }
-    }
-  }
-  return plugins;
-}
+import os from "os";
+import { discoverPlugins, pluginRoots } from "./discovery.js";
+import { getDb } from "./db.js";
+import { config } from "./config.js";
+import { parseParameter, toColumns } from "./params.js";
+import { runPool } from "./pool.js";
+import { inspectBundle } from "./bundle.js";
+import { isSoxPlugin, parameterListing, soxPluginInfo, soxPlugins } from "./backends.js";
+import { runAsMain } from "./entry.js";
 
-async function listParameters(pluginPath) {
-  try {
-    const { stdout } = await execa(
-      PLUGALYZER, 
-      ["listParameters", `--plugin=${pluginPath}`],
-      { timeout: 10000 } 
-    );
-    const lines = stdout.split("\n").map(l => l.trim()).filter(Boolean);
-    const params = [];
-
-    let current = null;
-    for (const line of lines) {
-      if (/^\d+:/.test(line)) {
-        if (current) params.push(current);
-        const [index, ...rest] = line.split(":");
-        current = { param_index: parseInt(index, 10), name: rest.join(":").trim() };
-      } else if (line.startsWith("Values:")) {
-        current.values = line.replace("Values:", "").trim();
-      } else if (line.startsWith("Default:")) {
-        current.default_value = line.replace("Default:", "").trim();
-      } else if (line.startsWith("Supports text values:")) {
-        current.supports_text = /true/i.test(line);
-      }
+export const SEED_DEFAULTS = {
+  concurrency: config.seedConcurrency || Math.min(4, os.cpus().length),
+  timeout: config.seedTimeout || 10,          // seconds per plugin
+  quarantineAfter: config.quarantineAfter || 3, // consecutive failures
+};
+
+export function parseParameterList(stdout) {
+  const lines = stdout.split("\n").map(l => l.trim()).filter(Boolean);
+  const params = [];
+
+  let current = null;
+  for (const line of lines) {
+    if (/^\d+:/.test(line)) {
+      if (current) params.push(current);
+      const [index, ...rest] = line.split(":");
+      current = { param_index: parseInt(index, 10), name: rest.join(":").trim() };
+    } else if (!current) {
+      continue;
+    } else if (line.startsWith("Values:")) {
+      current.values = line.replace("Values:", "").trim();
+    } else if (line.startsWith("Default:")) {
+      current.default_value = line.replace("Default:", "").trim();
+    } else if (line.startsWith("Supports text values:")) {
+      current.supports_text = /true/i.test(line);
     }
-    if (current) params.push(current);
-    return params;
-  } catch (err) {
-    console.error(`❌ Failed to list parameters for ${pluginPath}:`, err.shortMessage || err.message);
-    return [];
   }
+  if (current) params.push(current);
+  return params;
 }
 
-function savePlugin(pluginPath, pluginName, parameters) {
-  const stats = fs.statSync(pluginPath);
-  const modifiedTime = Math.floor(stats.mtimeMs / 1000);
+// Throws the execa error on timeout / crash so the caller can record it
+export async function listParameters(pluginPath, { timeout = SEED_DEFAULTS.timeout } = {}) {
+  return parseParameterList(await parameterListing(pluginPath, { timeout }));
+}
 
+function upsertPlugin(pluginPath, pluginName, root, meta = {}) {
   // insert with last_scanned = 0 so it's always treated as new initially
-  const pluginRow = db.prepare(`
-    INSERT INTO plugins (path, name, last_scanned)
-    VALUES (?, ?, 0)
-    ON CONFLICT(path) DO UPDATE SET name=excluded.name
-    RETURNING id, last_scanned
-  `).get(pluginPath, pluginName);
-
-  const plugin_id = pluginRow.id;
-
-  // skip if already scanned and file hasn't changed
-  if (pluginRow.last_scanned && pluginRow.last_scanned >= modifiedTime) {
-    return false;
-  }
+  return getDb().prepare(`
+    INSERT INTO plugins (path, name, root, vendor, version, format, missing, last_scanned)
+    VALUES (@path, @name, @root, @vendor, @version, @format, 0, 0)
+    ON CONFLICT(path) DO UPDATE SET
+      name=excluded.name, root=excluded.root, missing=0,
+      vendor=COALESCE(excluded.vendor, vendor),
+      version=COALESCE(excluded.version, version),
+      format=COALESCE(excluded.format, format)
+    RETURNING id, last_scanned, fingerprint, quarantined
+  `).get({
+    path: pluginPath,
+    name: pluginName,
+    root,
+    vendor: meta.vendor ?? null,
+    version: meta.version ?? null,
+    format: meta.format ?? null,
+  });
+}
 
+// Replace the plugin's parameter set and stamp it with the scanned fingerprint
+function savePlugin(plugin_id, fingerprint, parameters) {
+  const db = getDb();
   const insertParam = db.prepare(`
     INSERT OR REPLACE INTO parameters (
-      plugin_id, param_index, name, "values", default_value, supports_text
-    ) VALUES (?, ?, ?, ?, ?, ?)
+      plugin_id, param_index, name, "values", default_value, supports_text,
+      kind, min_value, max_value, unit, options, default_norm, steps
+    ) VALUES (
+      @plugin_id, @param_index, @name, @values, @default_value, @supports_text,
+      @kind, @min_value, @max_value, @unit, @options, @default_norm, @steps
+    )
   `);
 
-  for (const p of parameters) {
-    insertParam.run(
-      plugin_id,
-      p.param_index,
-      p.name,
-      p.values || "",
-      p.default_value || "",
-      p.supports_text ? 1 : 0
-    );
-  }
+  db.transaction(() => {
+    // parameters can disappear between versions, so start from scratch
+    db.prepare(`DELETE FROM parameters WHERE plugin_id=?`).run(plugin_id);
+    for (const p of parameters) {
+      insertParam.run({
+        plugin_id,
+        param_index: p.param_index,
+        name: p.name,
+        values: p.values || "",
+        default_value: p.default_value || "",
+        supports_text: p.supports_text ? 1 : 0,
+        ...toColumns(parseParameter(p)),
+      });
+    }
 
-  // now update last_scanned after successful parameter save
-  db.prepare(`UPDATE plugins SET last_scanned=? WHERE id=?`)
-    .run(Math.floor(Date.now() / 1000), plugin_id);
+    // a successful scan clears earlier failures
+    db.prepare(`DELETE FROM scan_failures WHERE plugin_id=?`).run(plugin_id);
+    db.prepare(`UPDATE plugins SET quarantined=0, fingerprint=?, last_scanned=? WHERE id=?`)
+      .run(fingerprint, Math.floor(Date.now() / 1000), plugin_id);
+  })();
+}
+
+const failureReason = err =>
+  err.timedOut ? "timeout"
+  : err.signal ? "crash"
+  : err.exitCode != null ? "exit"
+  : "error";
 
-  return true;
+// Log a failed scan; returns true when the plugin just got quarantined
+function recordFailure(pluginPath, pluginName, root, failure, quarantineAfter) {
+  const db = getDb();
+  const { id } = upsertPlugin(pluginPath, pluginName, root);
+  db.prepare(`
+    INSERT INTO scan_failures (plugin_id, reason, exit_code, signal, stderr, failed_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    failure.reason,
+    failure.exitCode ?? null,
+    failure.signal ?? null,
+    (failure.stderr || "").slice(-4000),
+    Math.floor(Date.now() / 1000)
+  );
+  const { count } = db.prepare(`SELECT COUNT(*) AS count FROM scan_failures WHERE plugin_id=?`).get(id);
+  if (count >= quarantineAfter) {
+    const { changes } = db.prepare(`UPDATE plugins SET quarantined=1 WHERE id=? AND quarantined=0`).run(id);
+    return changes > 0;
+  }
+  return false;
 }
 
-async function seed() {
-  let allPlugins = [];
-  for (const dir of PLUGIN_DIRS) {
-    if (fs.existsSync(dir)) {
-      allPlugins.push(...findPlugins(dir));
-    }
+async function seedOne({ path: pluginPath, name: pluginName, root }, { timeout, quarantineAfter, force }) {
+  const info = isSoxPlugin(pluginPath) ? soxPluginInfo(pluginPath) : inspectBundle(pluginPath);
+  const row = upsertPlugin(pluginPath, pluginName, root, info);
+
+  // skip if already scanned and the bundle's binaries/metadata haven't changed
+  if (!force && row.last_scanned && row.fingerprint === info.fingerprint) {
+    console.log(`⏭ ${pluginName} unchanged, skipped`);
+    return "unchanged";
+  }
+
+  let params;
+  try {
+    params = await listParameters(pluginPath, { timeout });
+  } catch (err) {
+    const reason = failureReason(err);
+    console.error(`❌ ${pluginName}: ${reason}`, err.shortMessage || err.message);
+    const quarantined = recordFailure(pluginPath, pluginName, root, {
+      reason,
+      exitCode: err.exitCode,
+      signal: err.signal,
+      stderr: err.stderr || err.message,
+    }, quarantineAfter);
+    if (quarantined) console.warn(`🚫 ${pluginName} quarantined after ${quarantineAfter} failures`);
+    return "failed";
   }
 
-  console.log(`Found ${allPlugins.length} plugins...`);
+  // a plugin without parameters scanned fine; it just has nothing to set
+  savePlugin(row.id, info.fingerprint, params);
+  console.log(`✅ ${pluginName} seeded${info.version ? ` (${info.vendor || "?"} ${info.version})` : ""}${params.length ? "" : " (no parameters)"}`);
+  return "seeded";
+}
+
+function quarantinedPaths() {
+  return new Set(getDb().prepare(`SELECT path FROM plugins WHERE quarantined=1`).all().map(p => p.path));
+}
 
-  for (const pluginPath of allPlugins) {
-    const pluginName = path.basename(pluginPath);
-    console.log(`Seeding ${pluginName}...`);
-    try {
-      const params = await listParameters(pluginPath);
-      if (params.length === 0) {
-        console.warn(`⚠️  No parameters for ${pluginName}`);
-        continue;
+// Flag catalog entries whose bundle no longer exists; with prune, delete them.
+export function markMissing({ prune = false } = {}) {
+  const db = getDb();
+  const gone = db.prepare(`SELECT id, name, path FROM plugins`).all().filter(p => !isSoxPlugin(p.path) && !fs.existsSync(p.path));
+  db.transaction(() => {
+    db.prepare(`UPDATE plugins SET missing=0`).run();
+    for (const { id } of gone) {
+      if (prune) {
+        db.prepare(`DELETE FROM parameters WHERE plugin_id=?`).run(id);
+        db.prepare(`DELETE FROM scan_failures WHERE plugin_id=?`).run(id);
+        db.prepare(`DELETE FROM presets WHERE plugin_id=?`).run(id);
+        db.prepare(`DELETE FROM plugins WHERE id=?`).run(id);
+      } else {
+        db.prepare(`UPDATE plugins SET missing=1 WHERE id=?`).run(id);
       }
-      const updated = savePlugin(pluginPath, pluginName, params);
-      if (updated) console.log(`✅ ${pluginName} seeded`);
-      else console.log(`⏭ ${pluginName} unchanged, skipped`);
-    } catch (err) {
-      console.error(`❌ Failed to seed plugin ${pluginPath}:`, err.message);
     }
+  })();
+  return gone;
+}
+
+// Scan every discovered plugin through a pool of Plugalyzer processes, and
+// catalog the built-in sox effects (see backends.js) alongside them.
+// Unchanged bundles are skipped unless `force` is set; quarantined plugins
+// unless `retry` (or `force`) is set.
+export async function seed({ dirs = [], retry = false, prune = false, ...opts } = {}) {
+  const options = { ...SEED_DEFAULTS, ...opts };
+  const roots = pluginRoots(dirs);
+  for (const root of roots) {
+    console.log(`${fs.existsSync(root) ? "📁" : "⏭"} ${root}`);
+  }
+
+  const effects = soxPlugins();
+  const allPlugins = [...effects, ...discoverPlugins(dirs)];
+  const quarantined = quarantinedPaths();
+  const toScan = retry || opts.force ? allPlugins : allPlugins.filter(p => !quarantined.has(p.path));
+
+  console.log(`Found ${allPlugins.length - effects.length} plugins (+ ${effects.length} sox effects)...`);
+  if (toScan.length < allPlugins.length) {
+    console.log(`🚫 Skipping ${allPlugins.length - toScan.length} quarantined (use 'retry' to include them)`);
   }
+  console.log(`Seeding with ${options.concurrency} workers, ${options.timeout}s timeout`);
+
+  const results = await runPool(toScan, options.concurrency, plugin => seedOne(plugin, options));
+
+  const gone = markMissing({ prune });
+  for (const p of gone) console.log(`${prune ? "🗑️  Pruned" : "👻 Missing"}: [${p.id}] ${p.name} (${p.path})`);
+  if (gone.length && !prune) console.log("Run with --prune to remove missing plugins from the catalog");
 
-  console.log("🎉 All plugins processed!");
+  summarize(results);
+}
+
+// Rescan only plugins with recorded failures (optionally just the given ids)
+export async function retryFailed({ ids = [], ...opts } = {}) {
+  const options = { ...SEED_DEFAULTS, ...opts };
+  const rows = getDb().prepare(`
+    SELECT DISTINCT p.id, p.path, p.name, p.root FROM plugins p
+    JOIN scan_failures f ON f.plugin_id = p.id
+    WHERE NOT p.missing
+  `).all().filter(p => !ids.length || ids.includes(p.id));
+
+  if (!rows.length) return console.log("No failed plugins to retry");
+  console.log(`🔁 Retrying ${rows.length} failed plugins...`);
+  const results = await runPool(rows, options.concurrency, plugin => seedOne(plugin, { ...options, force: true }));
+  summarize(results);
+}
+
+function summarize(results) {
+  const counts = {};
+  for (const r of results) {
+    const key = r.error ? "failed" : r.value;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  console.log(`🎉 All plugins processed! ${Object.entries(counts).map(([k, v]) => `${v} ${k}`).join(", ")}`);
+}
+
+export function listFailures() {
+  return getDb().prepare(`
+    SELECT p.id, p.name, p.path, p.quarantined,
+           COUNT(f.id) AS failures,
+           MAX(f.failed_at) AS last_failed,
+           (SELECT reason FROM scan_failures WHERE plugin_id = p.id ORDER BY failed_at DESC, id DESC LIMIT 1) AS reason,
+           (SELECT exit_code FROM scan_failures WHERE plugin_id = p.id ORDER BY failed_at DESC, id DESC LIMIT 1) AS exit_code,
+           (SELECT stderr FROM scan_failures WHERE plugin_id = p.id ORDER BY failed_at DESC, id DESC LIMIT 1) AS stderr
+    FROM plugins p
+    JOIN scan_failures f ON f.plugin_id = p.id
+    GROUP BY p.id
+    ORDER BY p.quarantined DESC, failures DESC
+  `).all();
+}
+
+// Lift quarantine (and forget past failures) for the given ids, or all
+export function unquarantine(ids = []) {
+  const db = getDb();
+  const where = ids.length
+    ? `WHERE id IN (${ids.map(() => "?").join(",")})
+         AND (quarantined=1 OR id IN (SELECT plugin_id FROM scan_failures))`
+    : "WHERE quarantined=1";
+  const targets = db.prepare(`SELECT id, name FROM plugins ${where}`).all(...ids);
+  db.transaction(() => {
+    for (const { id } of targets) {
+      db.prepare(`UPDATE plugins SET quarantined=0 WHERE id=?`).run(id);
+      db.prepare(`DELETE FROM scan_failures WHERE plugin_id=?`).run(id);
+    }
+  })();
+  return targets;
 }
 
-seed();
+// ---------------- CLI ENTRY ----------------
+// `node seed.js ...` is the same as `plugalyzer seed ...` (see cli.js)
+runAsMain(import.meta.url, ["seed"]);
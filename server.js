@@ -0,0 +1,267 @@
+import http from "http";
+import fs from "fs";
+import path from "path";
+import { config } from "./config.js";
+import { getParameters, listPlugins, searchParameters } from "./index.js";
+import { listPresets } from "./presets.js";
+import { JOB_STATUSES, isFinished } from "./jobs.js";
+
+// Local HTTP/JSON API over the catalog and a render job queue (jobs.js).
+// Errors are { error } (plus { errors } for invalid jobs) with a 4xx status.
+//
+//   GET    /health                   version and job counts
+//   GET    /plugins?q=&vendor=&format=&all=1&sox=1&limit=&offset=
+//   GET    /plugins/:id              plugin, parameters (?all=1 for every one) and presets
+//   GET    /parameters?q=&plugin=&limit=
+//   GET    /jobs?status=&limit=      newest first
+//   POST   /jobs                     { pipeline, input, output, vars, recurse } (see JobQueue.submit);
+//                                    output is relative to the server's output directory
+//   GET    /jobs/:id
+//   DELETE /jobs/:id                 cancel
+//   GET    /jobs/:id/events          Server-Sent Events: job, start, pass, step, log, done
+//   GET    /jobs/:id/output          the rendered file (Range requests work)
+//
+// It binds to localhost by default: jobs read files on this machine. Web
+// pages can still reach localhost, so requests from a non-local Origin are
+// refused, POST bodies must be application/json (which browsers can't send
+// cross-origin without a preflight), and the Host header must name this
+// machine on the bound port (a DNS-rebinding page sends its own name).
+//
+// `npm run smoke:server` runs a job through it end to end, offline, against
+// stand_in_plugalyzer.js (see smoke_server.js).
+
+// "serverHost" / "serverPort" in the config file
+export const SERVER_DEFAULTS = {
+  host: config.serverHost || "127.0.0.1",
+  port: config.serverPort ?? 7878,
+};
+
+const MAX_BODY = 1024 * 1024;
+const KEEPALIVE_MS = 15000;
+
+const httpError = (status, message, extra = {}) => Object.assign(new Error(message), { status, ...extra });
+
+function sendJson(res, status, body) {
+  const text = JSON.stringify(body, null, 2);
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(text) });
+  res.end(text);
+}
+
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// Origin is set by browsers; other clients don't send one
+function localOrigin(origin, hosts) {
+  if (!origin) return true;
+  try {
+    return hosts.includes(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Host is sent by every HTTP/1.1 client
+function localHost(host, hosts, port) {
+  if (!host) return false;
+  try {
+    const url = new URL(`http://${host}`);
+    return hosts.includes(url.hostname) && Number(url.port || 80) === port;
+  } catch {
+    return false;
+  }
+}
+
+function readJson(req) {
+  const type = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (type !== "application/json") return Promise.reject(httpError(415, "Content-Type must be application/json"));
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(httpError(413, `Request body is over ${MAX_BODY} bytes`));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf-8") || "{}"));
+      } catch (err) {
+        reject(httpError(400, `Invalid JSON: ${err.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// ?limit=, within 1..max
+function limitParam(query, fallback, max = 1000) {
+  if (!query.has("limit")) return fallback;
+  const n = Number(query.get("limit"));
+  if (!Number.isInteger(n) || n < 1) throw httpError(400, `Invalid limit: ${query.get("limit")}`);
+  return Math.min(n, max);
+}
+
+const flag = (query, name) => ["1", "true", "yes"].includes(query.get(name));
+
+function jobOrThrow(queue, id) {
+  const job = queue.get(Number(id));
+  if (!job) throw httpError(404, `No job ${id}`);
+  return job;
+}
+
+// Stream a file, honouring a single "bytes=a-b" range
+function sendFile(req, res, file, type) {
+  const { size } = fs.statSync(file);
+  const headers = {
+    "Content-Type": type,
+    "Accept-Ranges": "bytes",
+    "Content-Disposition": `inline; filename="${path.basename(file).replace(/"/g, "")}"`,
+  };
+  const range = req.headers.range?.match(/^bytes=(\d*)-(\d*)$/);
+  if (range && (range[1] || range[2])) {
+    let start = range[1] ? parseInt(range[1], 10) : size - parseInt(range[2], 10);
+    let end = range[1] && range[2] ? parseInt(range[2], 10) : size - 1;
+    start = Math.max(0, start);
+    end = Math.min(end, size - 1);
+    if (start > end) {
+      res.writeHead(416, { "Content-Range": `bytes */${size}` });
+      return res.end();
+    }
+    res.writeHead(206, { ...headers, "Content-Range": `bytes ${start}-${end}/${size}`, "Content-Length": end - start + 1 });
+    return fs.createReadStream(file, { start, end }).pipe(res);
+  }
+  res.writeHead(200, { ...headers, "Content-Length": size });
+  fs.createReadStream(file).pipe(res);
+}
+
+function jobEvents(req, res, queue, job) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send("job", job);
+  if (isFinished(job)) return res.end();
+
+  const onJob = j => {
+    if (j.id !== job.id) return;
+    send("job", j);
+    if (isFinished(j)) close();
+  };
+  const onProgress = ({ id, type, event }) => {
+    if (id === job.id) send(type, event);
+  };
+  const keepalive = setInterval(() => res.write(": keepalive\n\n"), KEEPALIVE_MS);
+  const close = () => {
+    clearInterval(keepalive);
+    queue.off("job", onJob);
+    queue.off("progress", onProgress);
+    res.end();
+  };
+  queue.on("job", onJob);
+  queue.on("progress", onProgress);
+  req.on("close", close);
+}
+
+const routes = [
+  ["GET", /^\/health$/, ({ queue }) => {
+    const { version } = JSON.parse(fs.readFileSync(new URL("./package.json", import.meta.url), "utf-8"));
+    return { ok: true, version, concurrency: queue.concurrency, jobs: queue.counts() };
+  }],
+
+  ["GET", /^\/plugins$/, ({ query }) => {
+    const rows = listPlugins({
+      query: query.get("q") || undefined,
+      vendor: query.get("vendor") || undefined,
+      format: query.get("format") || undefined,
+      all: flag(query, "all"),
+      sox: flag(query, "sox"),
+    });
+    const offset = Math.max(0, parseInt(query.get("offset"), 10) || 0);
+    return { total: rows.length, plugins: rows.slice(offset, offset + limitParam(query, 100)) };
+  }],
+
+  ["GET", /^\/plugins\/(\d+)$/, ({ query, params: [id] }) => {
+    const plugin = listPlugins({ all: true, sox: true }).find(p => p.id === Number(id));
+    if (!plugin) throw httpError(404, `No plugin ${id}`);
+    return { ...plugin, parameters: getParameters(plugin.id, { all: flag(query, "all") }), presets: listPresets(plugin.id) };
+  }],
+
+  ["GET", /^\/parameters$/, ({ query }) => {
+    const plugin = query.get("plugin");
+    if (plugin && !/^\d+$/.test(plugin)) throw httpError(400, `Invalid plugin id: ${plugin}`);
+    return {
+      parameters: searchParameters({
+        query: query.get("q") || undefined,
+        pluginId: plugin ? Number(plugin) : undefined,
+        limit: limitParam(query, 100),
+      }),
+    };
+  }],
+
+  ["GET", /^\/jobs$/, ({ queue, query }) => {
+    const status = query.get("status") || undefined;
+    if (status && !JOB_STATUSES.includes(status)) throw httpError(400, `Unknown status ${status} (${JOB_STATUSES.join(", ")})`);
+    return { jobs: queue.list({ status, limit: limitParam(query, 50) }) };
+  }],
+
+  ["POST", /^\/jobs$/, async ({ queue, req, res }) => {
+    const body = await readJson(req);
+    if (!body || typeof body !== "object" || Array.isArray(body)) throw httpError(400, "Expected a JSON object");
+    const { job, warnings, errors } = queue.submit(body);
+    if (errors) throw httpError(400, "Invalid job", { errors });
+    sendJson(res, 201, { ...job, warnings });
+  }],
+
+  ["GET", /^\/jobs\/(\d+)$/, ({ queue, params: [id] }) => jobOrThrow(queue, id)],
+
+  ["DELETE", /^\/jobs\/(\d+)$/, ({ queue, params: [id] }) => {
+    jobOrThrow(queue, id);
+    const { job, error } = queue.cancel(Number(id));
+    if (error) throw httpError(409, error);
+    return job;
+  }],
+
+  ["GET", /^\/jobs\/(\d+)\/events$/, ({ queue, req, res, params: [id] }) => {
+    jobEvents(req, res, queue, jobOrThrow(queue, id));
+  }],
+
+  ["GET", /^\/jobs\/(\d+)\/output$/, ({ queue, req, res, params: [id] }) => {
+    const job = jobOrThrow(queue, id);
+    if (job.status !== "done") throw httpError(409, `Job ${id} is ${job.status}`);
+    if (!fs.existsSync(job.output)) throw httpError(404, `Output of job ${id} is gone: ${job.output}`);
+    sendFile(req, res, job.output, "audio/wav");
+  }],
+];
+
+// An http.Server over a JobQueue; the caller starts the queue and listens.
+// host: the address it listens on, accepted in Host and Origin besides the
+// local names unless it's a wildcard
+export function createServer({ queue, host, log = console.log }) {
+  const hosts = host && !["0.0.0.0", "::"].includes(host) ? [...LOCAL_HOSTS, host.includes(":") ? `[${host}]` : host] : LOCAL_HOSTS;
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const matches = routes.filter(([, pattern]) => pattern.test(url.pathname));
+    const route = matches.find(([method]) => method === req.method);
+    try {
+      if (!localHost(req.headers.host, hosts, req.socket.localPort)) throw httpError(403, `Host ${req.headers.host} is not allowed`);
+      if (!localOrigin(req.headers.origin, hosts)) throw httpError(403, `Requests from ${req.headers.origin} are not allowed`);
+      if (!matches.length) throw httpError(404, `Not found: ${url.pathname}`);
+      if (!route) {
+        res.setHeader("Allow", matches.map(([method]) => method).join(", "));
+        throw httpError(405, `${req.method} not allowed on ${url.pathname}`);
+      }
+      const params = url.pathname.match(route[1]).slice(1);
+      const body = await route[2]({ queue, req, res, query: url.searchParams, params });
+      if (body !== undefined) sendJson(res, 200, body);
+    } catch (err) {
+      if (!err.status) log(`❌ ${req.method} ${url.pathname}: ${err.message}`);
+      if (res.headersSent) return res.end();
+      sendJson(res, err.status || 500, { error: err.message, ...(err.errors ? { errors: err.errors } : {}) });
+    }
+  });
+}
@@ -0,0 +1,124 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { execa } from "execa";
+
+// End-to-end check of `serve` that runs offline: seeds a scratch catalog
+// with one bundle through stand_in_plugalyzer.js, starts the server on a
+// free port, submits a job, follows its Server-Sent Events and downloads
+// the output. `npm run smoke:server`; exits 1 on the first failed check.
+
+const CLI = fileURLToPath(new URL("./cli.js", import.meta.url));
+const STAND_IN = fileURLToPath(new URL("./stand_in_plugalyzer.js", import.meta.url));
+const GAIN_DB = -6;
+
+// Half a second of a 440 Hz sine, 16-bit mono
+function sineWav(file, { rate = 44100, seconds = 0.5 } = {}) {
+  const frames = Math.round(rate * seconds);
+  const wav = Buffer.alloc(44 + frames * 2);
+  wav.write("RIFF", 0, "ascii");
+  wav.writeUInt32LE(36 + frames * 2, 4);
+  wav.write("WAVEfmt ", 8, "ascii");
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20);
+  wav.writeUInt16LE(1, 22);
+  wav.writeUInt32LE(rate, 24);
+  wav.writeUInt32LE(rate * 2, 28);
+  wav.writeUInt16LE(2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write("data", 36, "ascii");
+  wav.writeUInt32LE(frames * 2, 40);
+  for (let i = 0; i < frames; i++) wav.writeInt16LE(Math.round(16000 * Math.sin(2 * Math.PI * 440 * i / rate)), 44 + i * 2);
+  fs.writeFileSync(file, wav);
+  return wav;
+}
+
+function check(ok, message) {
+  if (!ok) throw new Error(message);
+  console.log(`✅ ${message}`);
+}
+
+// The events of a job's SSE stream, up to the end of the stream
+async function readEvents(url) {
+  const res = await fetch(url);
+  const events = [];
+  let text = "";
+  for await (const chunk of res.body) {
+    text += Buffer.from(chunk).toString("utf-8");
+    let end;
+    while ((end = text.indexOf("\n\n")) !== -1) {
+      const block = text.slice(0, end);
+      text = text.slice(end + 2);
+      const type = block.match(/^event: (.*)$/m)?.[1];
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      if (type) events.push({ type, data: JSON.parse(data) });
+    }
+  }
+  return events;
+}
+
+async function smoke(dir) {
+  const env = { PLUGINS_DB: path.join(dir, "plugins.db"), PLUGIN_DIRS: "" };
+  const bundles = path.join(dir, "plugins");
+  fs.mkdirSync(path.join(bundles, "Stand-in.vst3"), { recursive: true });
+  const input = path.join(dir, "sine.wav");
+  const dry = sineWav(input);
+
+  await execa("node", [CLI, "seed", "--dir", bundles, "--plugalyzer", STAND_IN], { cwd: dir, env });
+  console.log("🌱 Seeded the catalog through the stand-in");
+
+  const server = execa("node", [CLI, "serve", "--port", "0", "--no-cache", "--output-dir", path.join(dir, "jobs"), "--plugalyzer", STAND_IN], { cwd: dir, env });
+  try {
+    const base = await new Promise((resolve, reject) => {
+      server.stdout.on("data", chunk => {
+        const match = String(chunk).match(/Listening on (http:\S+)/);
+        if (match) resolve(match[1]);
+      });
+      server.catch(reject);
+    });
+    console.log(`🌐 Server at ${base}`);
+
+    const { plugins } = await (await fetch(`${base}/plugins?q=Stand-in`)).json();
+    check(plugins.some(p => p.name === "Stand-in.vst3"), "catalog search finds the stand-in plugin");
+
+    const submitted = await fetch(`${base}/jobs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        pipeline: { version: 1, steps: [{ plugin: "Stand-in", params: { Gain: `${GAIN_DB} dB` } }] },
+        input,
+        output: "smoke.wav",
+      }),
+    });
+    const job = await submitted.json();
+    check(submitted.status === 201, `job ${job.id} submitted (${submitted.status}${job.error ? `: ${job.error}` : ""})`);
+
+    const events = await readEvents(`${base}/jobs/${job.id}/events`);
+    const types = new Set(events.map(e => e.type));
+    check(["job", "step", "done"].every(t => types.has(t)), `progress streamed as events: ${[...types].join(", ")}`);
+    const final = events.filter(e => e.type === "job").pop()?.data;
+    check(final?.status === "done", `job finished: ${final?.status}${final?.error ? ` (${final.error})` : ""}`);
+
+    const download = await fetch(`${base}/jobs/${job.id}/output`);
+    const wet = Buffer.from(await download.arrayBuffer());
+    const gain = 10 ** (GAIN_DB / 20);
+    const expected = Math.round(dry.readInt16LE(44 + 200) * gain);
+    check(download.status === 200 && wet.length === dry.length && wet.readInt16LE(44 + 200) === expected,
+      `output downloaded with the stand-in's ${GAIN_DB} dB applied (${wet.length} bytes)`);
+  } finally {
+    server.kill("SIGINT");
+    await server.catch(() => {});
+  }
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "plugalyzer-smoke-"));
+try {
+  await smoke(dir);
+  console.log("🎉 Server smoke test passed");
+} catch (err) {
+  console.error("❌", err.shortMessage || err.message);
+  process.exitCode = 1;
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
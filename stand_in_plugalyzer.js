@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+import fs from "fs";
+
+// Stand-in for the Plugalyzer executable, so the catalog, pipelines and the
+// server run offline without plugins (see smoke_server.js). Every plugin
+// has the same two parameters; `process` applies Gain to 16-bit PCM WAVs
+// and copies anything else through.
+//
+//   stand_in_plugalyzer.js listParameters --plugin=<path>
+//   stand_in_plugalyzer.js process --plugin=<path> --input=<file> --output=<file> [--overwrite] [--param=Name:value ...]
+
+const LISTING = `0: Gain
+  Values: -24.0 dB to 24.0 dB
+  Default: 0.0 dB
+  Supports text values: true
+1: Mode
+  Values: Clean, Warm
+  Default: Clean
+  Supports text values: true`;
+
+const [command, ...args] = process.argv.slice(2);
+const option = name => args.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+if (command === "listParameters") {
+  console.log(LISTING);
+} else if (command === "process") {
+  const [input, output] = [option("input"), option("output")];
+  if (!input || !output) {
+    console.error("process needs --input and --output");
+    process.exit(2);
+  }
+  if (fs.existsSync(output) && !args.includes("--overwrite")) {
+    console.error(`${output} exists (pass --overwrite)`);
+    process.exit(1);
+  }
+  const gainParam = args.find(a => /^--param=gain:/i.test(a));
+  const gain = 10 ** ((gainParam ? parseFloat(gainParam.split(":")[1]) : 0) / 20);
+  const wav = fs.readFileSync(input);
+  // canonical 44-byte header, PCM (format 1), 16 bits
+  if (wav.toString("ascii", 8, 12) === "WAVE" && wav.readUInt16LE(20) === 1 && wav.readUInt16LE(34) === 16) {
+    for (let o = 44; o + 1 < wav.length; o += 2) {
+      wav.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(wav.readInt16LE(o) * gain))), o);
+    }
+  }
+  fs.writeFileSync(output, wav);
+} else {
+  console.error(`Unknown command: ${command} (listParameters, process)`);
+  process.exit(2);
+}
@@ -0,0 +1,101 @@
+import { findParam, resolveParam } from "./index.js";
+
+// Pipeline steps keep their parameters as "Name:value" strings (the form
+// Plugalyzer's --param takes). These helpers parse REPL edits against the
+// plugin's catalog entries and merge them into that list.
+
+const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Split "Gain:-3 dB Output Gain:2 dB -Drive" into edits. Parameter names may
+// contain spaces and values may too, so names are matched against the
+// catalog (longest first); an edit is "<name|index>:<value>" or "-<name>"
+// (unset). Without catalog entries, any "word:" starts a new edit.
+export function parseParamEdits(text, params = []) {
+  const names = params.map(p => p.name).sort((a, b) => b.length - a.length).map(escapeRegex);
+  const name = names.length ? names.join("|") : "[^\\s:\\d-][^\\s:]*";
+  const re = new RegExp(`(^|\\s)(?:-(${name})(?=\\s|$)|(${name}|\\d+):)`, "gi");
+
+  const matches = [...text.matchAll(re)];
+  const edits = [];
+  const leading = text.slice(0, matches[0]?.index ?? text.length).trim();
+  if (leading) {
+    const error = leading.includes(":")
+      ? `unknown parameter "${leading.slice(0, leading.indexOf(":"))}"`
+      : `unrecognized "${leading}" (expected name:value or -name)`;
+    return { edits, error };
+  }
+
+  matches.forEach((m, i) => {
+    const start = m.index + m[0].length;
+    const end = i + 1 < matches.length ? matches[i + 1].index : text.length;
+    const rest = text.slice(start, end).trim();
+    if (m[2] !== undefined) {
+      edits.push({ unset: true, key: m[2], trailing: rest });
+    } else {
+      edits.push({ key: m[3], value: rest });
+    }
+  });
+
+  for (const e of edits) {
+    if (e.unset && e.trailing) return { edits, error: `unexpected "${e.trailing}" after -${e.key}` };
+    if (!e.unset && !e.value) return { edits, error: `missing value for ${e.key}` };
+  }
+  return { edits, error: null };
+}
+
+// "Name:value" strings -> Map(name -> value), keeping order
+export function paramMap(list = []) {
+  const map = new Map();
+  for (const kv of list) {
+    const sep = kv.indexOf(":");
+    if (sep === -1) continue;
+    map.set(kv.slice(0, sep), kv.slice(sep + 1));
+  }
+  return map;
+}
+
+export const paramList = map => [...map].map(([k, v]) => `${k}:${v}`);
+
+// Apply edits to a step's param list. Values are validated and names are
+// canonicalized when the plugin has catalog entries. Returns
+// { params, changes, errors }; nothing is applied if any edit is invalid.
+export function applyParamEdits(current, edits, params = []) {
+  const map = paramMap(current);
+  const changes = [];
+  const errors = [];
+
+  const existingKey = name => [...map.keys()].find(k => k.toLowerCase() === name.toLowerCase());
+
+  for (const e of edits) {
+    if (e.unset) {
+      const name = findParam(params, e.key)?.name || e.key;
+      const key = existingKey(name);
+      if (key === undefined) {
+        errors.push(`${name} is not set`);
+        continue;
+      }
+      changes.push({ name: key, before: map.get(key), after: undefined });
+      map.delete(key);
+      continue;
+    }
+
+    let name = e.key;
+    let value = e.value;
+    if (params.length) {
+      const resolved = resolveParam(params, `${e.key}:${e.value}`);
+      if (!resolved.ok) {
+        errors.push(resolved.error);
+        continue;
+      }
+      name = resolved.param.name;
+      value = resolved.value;
+    }
+    const key = existingKey(name) ?? name;
+    changes.push({ name: key, before: map.get(key), after: value });
+    map.set(key, value);
+  }
+
+  return errors.length
+    ? { params: current, changes: [], errors }
+    : { params: paramList(map), changes, errors };
+}
@@ -1,74 +1,327 @@
 #!/usr/bin/env node
 import { execa } from "execa";
+import fs from "fs";
 import path from "path";
-import { globSync } from "glob";
+import { readWav, readWavInfo } from "./analysis.js";
+import { config } from "./config.js";
+import { createRng, newSeed } from "./randomize.js";
+import { runAsMain } from "./entry.js";
 
-// ------------------ CLI parsing ------------------
-const args = process.argv.slice(2);
+// Silence trimming and joining: strip leading/trailing silence from clips
+// with sox, then concatenate them with gaps, crossfades or fades at the
+// joins; or slice one long file into its non-silent regions. Used by the
+// REPL (`trim`, `join`, `slice`), by pipelines through trim steps (see
+// graph.js) and as a script of its own.
 
-if (!args.length) {
-  console.error("Usage: node truncate_silence.js [options] <file(s)>");
-  console.error("Options:");
-  console.error("  --threshold <dB>   Silence threshold, default -40dB");
-  console.error("  --duration <sec>   Minimum silence duration, default 0.001");
-  process.exit(1);
+// Override with "trim" / "join" objects in the config file
+export const TRIM_DEFAULTS = {
+  threshold: "-40dB", // level below which audio counts as silence
+  duration: "0.001",  // seconds of silence before trimming starts
+  ...config.trim,
+};
+
+export const JOIN_DEFAULTS = {
+  gap: 0,            // seconds of silence between clips
+  crossfade: 0,      // seconds of overlap between clips
+  fade: 0,           // seconds of fade out/in on both sides of every join
+  order: "natural",
+  ...config.join,
+};
+
+// Slicing: gaps of at least `duration` seconds below `threshold` separate
+// slices; slices shorter than minLength are dropped and longer than
+// maxLength cut short. preroll/padding add audio before/after each slice,
+// never reaching into the neighbouring slice.
+export const SLICE_DEFAULTS = {
+  threshold: TRIM_DEFAULTS.threshold,
+  duration: "0.1",
+  minLength: 0.05,
+  maxLength: null,
+  preroll: 0.005,
+  padding: 0.05,
+  ...config.slice,
+};
+
+export const SLICE_MANIFEST_SUFFIX = "_slices.json";
+
+// natural: by path, numbers compared as numbers (take2 < take10)
+// name: plain string order; duration: shortest first
+// shuffle: random, repeatable with a seed; given: as passed in
+export const JOIN_ORDERS = ["natural", "name", "duration", "shuffle", "given"];
+
+// sox effects that trim silence from both ends
+export const trimEffects = ({ threshold = TRIM_DEFAULTS.threshold, duration = TRIM_DEFAULTS.duration } = {}) => [
+  "silence", "1", String(duration), String(threshold),
+  "reverse",
+  "silence", "1", String(duration), String(threshold),
+  "reverse",
+];
+
+// take.wav -> take_trimmed.wav
+export function trimmedPath(file) {
+  const ext = path.extname(file);
+  return `${file.slice(0, file.length - ext.length)}_trimmed${ext}`;
+}
+
+// Trim one file; returns the output path
+export async function trimFile(input, { output = trimmedPath(path.resolve(input)), threshold, duration, stdio = "pipe" } = {}) {
+  await execa("sox", [input, output, ...trimEffects({ threshold, duration })], { stdio });
+  return output;
 }
 
-let threshold = "-40dB";
-let duration = "0.001";
-
-const patterns = [];
-for (let i = 0; i < args.length; i++) {
-  if (args[i] === "--threshold" && args[i + 1]) {
-    threshold = args[i + 1];
-    i++;
-  } else if (args[i] === "--duration" && args[i + 1]) {
-    duration = args[i + 1];
-    i++;
-  } else {
-    patterns.push(args[i]);
+// Trim several files one after another; onTrim(input, output) reports each
+export async function trimFiles(files, { threshold, duration, stdio, onTrim = () => {} } = {}) {
+  const outputs = [];
+  for (const file of files) {
+    const output = await trimFile(file, { threshold, duration, stdio });
+    onTrim(file, output);
+    outputs.push(output);
   }
+  return outputs;
 }
 
-if (!patterns.length) {
-  console.error("No files provided.");
-  process.exit(1);
+// Gap lengths: "0.5", "0.5s", "250ms" are fixed; "1@120" is one beat at
+// 120 BPM, "1/2@90bpm" half a beat at 90 BPM. Returns seconds.
+export function parseGap(text) {
+  const value = String(text).trim().toLowerCase();
+  const tempo = value.match(/^(\d+(?:\.\d+)?)(?:\/(\d+))?\s*(?:beats?|b)?@(\d+(?:\.\d+)?)\s*(?:bpm)?$/);
+  if (tempo) {
+    const beats = parseFloat(tempo[1]) / (tempo[2] ? parseInt(tempo[2], 10) : 1);
+    const bpm = parseFloat(tempo[3]);
+    if (!(bpm > 0) || !isFinite(beats)) throw new Error(`Invalid gap: ${text}`);
+    return beats * 60 / bpm;
+  }
+  const fixed = value.match(/^(\d+(?:\.\d+)?|\.\d+)\s*(ms|s)?$/);
+  if (!fixed) throw new Error(`Invalid gap: ${text} (seconds, "250ms" or beats@bpm like "1@120")`);
+  return parseFloat(fixed[1]) / (fixed[2] === "ms" ? 1000 : 1);
 }
 
-// ------------------ Resolve files ------------------
-const files = patterns.flatMap(pat => globSync(pat)).sort();
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
 
-if (!files.length) {
-  console.error("No files matched the patterns");
-  process.exit(1);
+export function orderFiles(files, order = JOIN_DEFAULTS.order, { seed = null } = {}) {
+  if (!JOIN_ORDERS.includes(order)) throw new Error(`Unknown order "${order}" (use ${JOIN_ORDERS.join(", ")})`);
+  const list = [...files];
+  if (order === "natural") return list.sort(collator.compare);
+  if (order === "name") return list.sort();
+  if (order === "duration") {
+    const lengths = new Map(list.map(f => [f, readWavInfo(f).duration]));
+    return list.sort((a, b) => lengths.get(a) - lengths.get(b) || collator.compare(a, b));
+  }
+  if (order === "shuffle") {
+    const rng = createRng(seed ?? newSeed());
+    for (let i = list.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [list[i], list[j]] = [list[j], list[i]];
+    }
+  }
+  return list;
 }
 
-const trimmedFiles = [];
+const secs = x => String(+x.toFixed(6));
+
+// Concatenate files into `output`. Options:
+//   gap        seconds (or a parseGap string) of silence between clips
+//   crossfade  seconds the clips overlap, faded across each other
+//   fade       seconds of fade out/in on both sides of every join
+//   order, seed  see JOIN_ORDERS
+// Gaps and crossfades can't be combined. Clips are staged beside the output
+// and removed afterwards. Returns { output, files, duration }.
+export async function joinFiles(files, {
+  output,
+  gap = JOIN_DEFAULTS.gap,
+  crossfade = JOIN_DEFAULTS.crossfade,
+  fade = JOIN_DEFAULTS.fade,
+  order = JOIN_DEFAULTS.order,
+  seed = null,
+  stdio = "pipe",
+} = {}) {
+  if (!output) throw new Error("joinFiles needs an output path");
+  if (!files.length) throw new Error("Nothing to join");
+  const gapSeconds = typeof gap === "string" ? parseGap(gap) : gap;
+  if (gapSeconds > 0 && crossfade > 0) throw new Error("Use either a gap or a crossfade, not both");
 
-// ------------------ Trim silence ------------------
-for (const f of files) {
-  const absPath = path.resolve(f);
-  const trimmedPath = absPath.replace(/(\.wav)$/i, "_trimmed.wav");
-  trimmedFiles.push(trimmedPath);
+  const ordered = orderFiles(files.map(f => path.resolve(f)), order, { seed });
+  const durations = ordered.map(f => readWavInfo(f).duration);
+  const shortest = Math.min(...durations);
+  if (crossfade > 0 && ordered.length > 1 && crossfade * 2 > shortest) {
+    throw new Error(`Crossfade of ${crossfade}s is too long for a ${secs(shortest)}s clip`);
+  }
+
+  const edge = Math.max(fade, crossfade);
+  const resolved = path.resolve(output);
+  const base = resolved.slice(0, resolved.length - path.extname(resolved).length);
+  const staged = [];
+  try {
+    // per-clip fades at the joins, plus either trailing silence (gaps) or a
+    // leading offset so the clips overlap when mixed (crossfades)
+    const clips = [];
+    let start = 0;
+    for (let i = 0; i < ordered.length; i++) {
+      const last = i === ordered.length - 1;
+      const fadeIn = i > 0 ? edge : 0;
+      const fadeOut = last ? 0 : edge;
+      const effects = [
+        ...(fadeIn || fadeOut ? ["fade", "t", secs(fadeIn), secs(durations[i]), secs(fadeOut)] : []),
+        ...(crossfade > 0 ? (start > 0 ? ["pad", secs(start)] : []) : (!last && gapSeconds > 0 ? ["pad", "0", secs(gapSeconds)] : [])),
+      ];
+      if (effects.length) {
+        const clip = `${base}_join${i + 1}.wav`;
+        staged.push(clip);
+        await execa("sox", [ordered[i], clip, ...effects], { stdio });
+        clips.push(clip);
+      } else {
+        clips.push(ordered[i]);
+      }
+      start += durations[i] - crossfade;
+    }
 
-  console.log(`🔹 Trimming silence: ${path.basename(absPath)} -> ${path.basename(trimmedPath)}`);
+    if (crossfade > 0 && clips.length > 1) {
+      await execa("sox", ["-m", ...clips.flatMap(c => ["-v", "1", c]), output], { stdio });
+    } else if (clips.length > 1) {
+      await execa("sox", [...clips, output], { stdio });
+    } else {
+      fs.copyFileSync(clips[0], output);
+    }
+  } finally {
+    for (const file of staged) fs.rmSync(file, { force: true });
+  }
 
-  await execa("sox", [
-    absPath,        // input
-    trimmedPath,    // output
-    "silence", "1", duration, threshold,
-    "reverse",
-    "silence", "1", duration, threshold,
-    "reverse"
-  ], { stdio: "inherit" });
+  const total = durations.reduce((a, b) => a + b, 0)
+    + (ordered.length - 1) * (crossfade > 0 ? -crossfade : gapSeconds);
+  return { output: resolved, files: ordered, duration: total };
 }
 
-// ------------------ Concatenate ------------------
-if (trimmedFiles.length > 1) {
-  const finalOutput = "final.wav";
-  console.log(`🔹 Concatenating into ${finalOutput}`);
-  await execa("sox", [...trimmedFiles, finalOutput], { stdio: "inherit" });
-  console.log(`🎉 Finished: ${finalOutput}`);
-} else {
-  console.log("Only one file trimmed, no concatenation needed.");
+// Trim every file, join the results and (unless keepTrimmed) delete the
+// trimmed intermediates. Returns joinFiles' result plus `trimmed`.
+export async function trimAndJoin(files, { threshold, duration, keepTrimmed = false, onTrim, ...joinOptions }) {
+  const trimmed = await trimFiles(files, { threshold, duration, stdio: joinOptions.stdio, onTrim });
+  try {
+    return { ...await joinFiles(trimmed, joinOptions), trimmed: keepTrimmed ? trimmed : [] };
+  } finally {
+    if (!keepTrimmed) for (const file of trimmed) fs.rmSync(file, { force: true });
+  }
 }
+
+// sox-style thresholds: "-40dB" / "-40d" in dBFS, "1%" of full scale, or
+// a plain amplitude (0-1); a negative plain number is taken as dB
+export function parseThreshold(text) {
+  const value = String(text).trim();
+  const m = value.match(/^([-+]?(?:\d+(?:\.\d+)?|\.\d+))\s*(db?|%)?$/i);
+  if (!m) throw new Error(`Invalid threshold: ${text} (e.g. -40dB or 1%)`);
+  const x = parseFloat(m[1]);
+  if (m[2] === "%") return x / 100;
+  if (m[2] || x < 0) return Math.pow(10, x / 20);
+  if (x > 1) throw new Error(`Invalid threshold: ${text} (amplitudes are 0-1)`);
+  return x;
+}
+
+// Non-silent regions of decoded audio as [startFrame, endFrame) pairs
+export function detectRegions({ sampleRate, frames, samples }, { threshold = SLICE_DEFAULTS.threshold, duration = SLICE_DEFAULTS.duration } = {}) {
+  const level = parseThreshold(threshold);
+  const minGap = Math.max(1, Math.round(parseFloat(duration) * sampleRate));
+  const regions = [];
+  let start = -1;
+  let lastLoud = -1;
+  for (let i = 0; i < frames; i++) {
+    let loud = false;
+    for (const channel of samples) {
+      if (Math.abs(channel[i]) > level) {
+        loud = true;
+        break;
+      }
+    }
+    if (!loud) continue;
+    if (start < 0) start = i;
+    else if (i - lastLoud > minGap) {
+      regions.push([start, lastLoud + 1]);
+      start = i;
+    }
+    lastLoud = i;
+  }
+  if (start >= 0) regions.push([start, lastLoud + 1]);
+  return regions;
+}
+
+// <dir>/<stem>_slice001.wav
+export const slicePath = (input, n, { dir = path.dirname(input), width = 3 } = {}) =>
+  path.join(dir, `${path.basename(input, path.extname(input))}_slice${String(n).padStart(width, "0")}.wav`);
+
+// Cut `input` into numbered files, one per non-silent region, and write a
+// JSON manifest of the slices beside them. Options: threshold, duration,
+// minLength, maxLength, preroll, padding (see SLICE_DEFAULTS), normalize
+// (peak dBFS per slice, or null), outputDir, onSlice(slice).
+// Returns the manifest.
+export async function sliceFile(input, {
+  threshold = SLICE_DEFAULTS.threshold,
+  duration = SLICE_DEFAULTS.duration,
+  minLength = SLICE_DEFAULTS.minLength,
+  maxLength = SLICE_DEFAULTS.maxLength,
+  preroll = SLICE_DEFAULTS.preroll,
+  padding = SLICE_DEFAULTS.padding,
+  normalize = null,
+  outputDir,
+  stdio = "pipe",
+  onSlice = () => {},
+} = {}) {
+  const source = path.resolve(input);
+  const audio = readWav(source);
+  const rate = audio.sampleRate;
+  const dir = path.resolve(outputDir || path.dirname(source));
+  fs.mkdirSync(dir, { recursive: true });
+
+  const regions = detectRegions(audio, { threshold, duration });
+  const kept = regions.filter(([s, e]) => (e - s) / rate >= (minLength || 0));
+  const width = Math.max(3, String(kept.length).length);
+
+  const slices = [];
+  for (let i = 0; i < kept.length; i++) {
+    const [onset, end] = kept[i];
+    const prevEnd = i > 0 ? kept[i - 1][1] : 0;
+    const nextStart = i < kept.length - 1 ? kept[i + 1][0] : audio.frames;
+    const from = Math.max(prevEnd, onset - Math.round(preroll * rate));
+    let to = Math.min(nextStart, end + Math.round(padding * rate));
+    if (maxLength) to = Math.min(to, from + Math.round(maxLength * rate));
+
+    let peak = 0;
+    for (const channel of audio.samples) {
+      for (let f = from; f < to; f++) peak = Math.max(peak, Math.abs(channel[f]));
+    }
+    const file = slicePath(source, i + 1, { dir, width });
+    await execa("sox", [
+      source, file,
+      "trim", `${from}s`, `${to - from}s`,
+      ...(normalize != null && peak > 0 ? ["gain", "-n", String(normalize)] : []),
+    ], { stdio });
+
+    const slice = {
+      index: i + 1,
+      file,
+      start: +(from / rate).toFixed(6),
+      end: +(to / rate).toFixed(6),
+      length: +((to - from) / rate).toFixed(6),
+      onset: +(onset / rate).toFixed(6),
+      peak_db: peak > 0 ? +(20 * Math.log10(peak)).toFixed(2) : null,
+      ...(maxLength && end > to ? { truncated: true } : {}),
+    };
+    slices.push(slice);
+    onSlice(slice);
+  }
+
+  const manifest = {
+    version: 1,
+    input: source,
+    sample_rate: rate,
+    duration: +(audio.frames / rate).toFixed(6),
+    created_at: new Date().toISOString(),
+    options: { threshold, duration, minLength, maxLength, preroll, padding, normalize },
+    detected: regions.length,
+    slices,
+  };
+  manifest.file = path.join(dir, `${path.basename(source, path.extname(source))}${SLICE_MANIFEST_SUFFIX}`);
+  fs.writeFileSync(manifest.file, JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+// ------------------ CLI ------------------
+// `node truncate_silence.js ...` is the same as `plugalyzer trim ...` (see cli.js)
+runAsMain(import.meta.url, ["trim"]);
@@ -0,0 +1,49 @@
+import { config } from "./config.js";
+
+// Undo/redo stack of REPL pipeline snapshots. Each entry records the state
+// before and after one change, so undo and redo are plain restores.
+
+const UNDO_LIMIT = config.undoLimit || 100;
+
+const clone = value => JSON.parse(JSON.stringify(value ?? null));
+
+export function createUndoStack({ past = [], future = [], limit = UNDO_LIMIT } = {}) {
+  past = [...past];
+  future = [...future];
+
+  return {
+    record(label, before, after) {
+      if (JSON.stringify(before) === JSON.stringify(after)) return;
+      past.push({ label, at: Date.now(), before: clone(before), after: clone(after) });
+      if (past.length > limit) past.splice(0, past.length - limit);
+      future = [];
+    },
+
+    // Step back n changes; returns { state, undone } or null if there's nothing to undo
+    undo(n = 1) {
+      if (!past.length) return null;
+      const undone = past.splice(Math.max(0, past.length - n)).reverse();
+      future.push(...undone);
+      return { state: clone(undone[undone.length - 1].before), undone };
+    },
+
+    redo(n = 1) {
+      if (!future.length) return null;
+      const redone = future.splice(Math.max(0, future.length - n)).reverse();
+      past.push(...redone);
+      return { state: clone(redone[redone.length - 1].after), redone };
+    },
+
+    // Oldest first; undone entries (still redoable) are flagged
+    entries() {
+      return [
+        ...past.map(e => ({ ...e, undone: false })),
+        ...[...future].reverse().map(e => ({ ...e, undone: true })),
+      ];
+    },
+
+    toJSON() {
+      return { past, future };
+    },
+  };
+}
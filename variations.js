@@ -0,0 +1,153 @@
+import fs from "fs";
+import path from "path";
+import { config } from "./config.js";
+import { QUALITY_DEFAULTS, analyzeAsync, checkQuality, spectralDistance } from "./analysis.js";
+import { runPool } from "./pool.js";
+import { rejectRender, sidecarPath } from "./renders.js";
+import { runChain } from "./runner.js";
+
+// Generate-and-rank: render N random variations of a step for one input,
+// score them, keep the best K (minus near-duplicates) and delete the rest.
+//
+// score = distance * (spectral distance from the input, scaled to 0..1)
+//       + novelty  * (mean distance to the other variations, scaled to 0..1)
+//       - loudness * (how far loudness strays from the input beyond ±12 LU)
+// Weights come from "variationWeights" in the config file.
+
+export const VARIATION_DEFAULTS = {
+  keep: 3,
+  duplicateDistance: config.duplicateDistance ?? 1.5, // dB, see spectralDistance
+  weights: { distance: 1, novelty: 1, loudness: 1, ...config.variationWeights },
+};
+
+const LOUDNESS_WINDOW = 12; // LU
+
+export const SUMMARY_SUFFIX = "_variations.json";
+
+const paramKey = step => `${step.path}|${[...(step.params || [])].sort().join("|")}`;
+
+// Every file a run wrote (cache hits aren't the run's to delete), for
+// deleting discarded variations and the intermediates of kept ones
+const writtenFiles = manifest => [...new Set(manifest.commands.filter(c => !c.cached).map(c => c.output).filter(Boolean))];
+
+// Options:
+//   input        source file
+//   count        variations to render
+//   makeStep(i)  the (random) pipeline step for variation i
+//   outputBase   kept files are <dir>/<stem>_varNN.wav next to this path
+//   keep, concurrency, recurse, quality, weights, duplicateDistance
+//   runOptions   passed on to runChain (normalize, limit, ...)
+//   onProgress({ done, total, index, ok, error, output })
+// Returns the summary written to <stem>_variations.json.
+export async function runVariations({
+  input,
+  count,
+  makeStep,
+  outputBase = "out.wav",
+  keep = VARIATION_DEFAULTS.keep,
+  concurrency = 1,
+  recurse = 1,
+  quality = QUALITY_DEFAULTS,
+  weights = VARIATION_DEFAULTS.weights,
+  duplicateDistance = VARIATION_DEFAULTS.duplicateDistance,
+  runOptions = {},
+  onProgress = () => {},
+}) {
+  const inputStats = await analyzeAsync("file", input);
+  const inputProfile = await analyzeAsync("profile", input);
+  const ext = path.extname(outputBase);
+  const stem = outputBase.slice(0, outputBase.length - ext.length);
+  const width = String(count).length;
+
+  let done = 0;
+  const results = await runPool(Array.from({ length: count }, (_, i) => i), concurrency, async i => {
+    const step = makeStep(i);
+    const base = `${stem}_var${String(i + 1).padStart(width, "0")}`;
+    const output = path.resolve(`${base}${ext || ".wav"}`);
+    // intermediates go to the run's own scratch directory (see runChain)
+    const run = await runChain({
+      ...runOptions,
+      steps: [step],
+      input,
+      output,
+      recurse,
+      seed: step.seed ?? null,
+      source: "variations",
+      stdio: "pipe",
+      log: () => {},
+    });
+    const variation = { index: i + 1, step, output, render: run.manifest.id, files: writtenFiles(run.manifest), stats: run.manifest.stats || null };
+    variation.reasons = !run.ok ? [run.manifest.error.split("\n")[0]]
+      : variation.stats ? checkQuality(variation.stats, quality) : ["output could not be analyzed"];
+    if (run.ok && !variation.reasons.length) variation.profile = await analyzeAsync("profile", output);
+    onProgress({ done: ++done, total: count, index: i + 1, ok: !variation.reasons.length, error: variation.reasons.join(", "), output });
+    return variation;
+  });
+
+  const variations = results.map((r, i) => r.value || { index: i + 1, reasons: [r.error.message], files: [] });
+  const valid = variations.filter(v => !v.reasons.length);
+
+  // raw features, then each scaled by its maximum over the valid variations
+  for (const v of valid) {
+    v.distance = spectralDistance(v.profile, inputProfile) ?? 0;
+    const others = valid.filter(o => o !== v).map(o => spectralDistance(v.profile, o.profile) ?? 0);
+    v.novelty = others.length ? others.reduce((a, b) => a + b, 0) / others.length : 0;
+    const drift = isFinite(v.stats.lufs) && isFinite(inputStats.lufs) ? Math.abs(v.stats.lufs - inputStats.lufs) : LOUDNESS_WINDOW * 2;
+    v.loudnessPenalty = Math.min(1, Math.max(0, drift - LOUDNESS_WINDOW) / LOUDNESS_WINDOW);
+  }
+  const maxOf = key => Math.max(1e-9, ...valid.map(v => v[key]));
+  const maxDistance = maxOf("distance");
+  const maxNovelty = maxOf("novelty");
+  for (const v of valid) {
+    v.score = weights.distance * v.distance / maxDistance
+      + weights.novelty * v.novelty / maxNovelty
+      - weights.loudness * v.loudnessPenalty;
+  }
+
+  // best first, skipping anything too close to a variation already kept
+  const kept = [];
+  for (const v of [...valid].sort((a, b) => b.score - a.score)) {
+    if (kept.length >= keep) {
+      v.dropped = `not in the top ${keep}`;
+      continue;
+    }
+    const twin = kept.find(k => paramKey(k.step) === paramKey(v.step) || (spectralDistance(k.profile, v.profile) ?? Infinity) < duplicateDistance);
+    if (twin) {
+      v.dropped = `near-duplicate of variation ${twin.index}`;
+      continue;
+    }
+    kept.push(v);
+  }
+
+  for (const v of variations) {
+    const files = kept.includes(v) ? v.files.filter(file => file !== v.output) : v.files;
+    if (!kept.includes(v) && v.render) rejectRender(v.render, v.dropped ? [v.dropped] : v.reasons);
+    for (const file of [...files, ...files.map(sidecarPath)]) fs.rmSync(file, { force: true });
+  }
+
+  const summary = {
+    version: 1,
+    input: path.resolve(input),
+    created_at: new Date().toISOString(),
+    rendered: count,
+    failed: variations.length - valid.length,
+    kept: kept.map((v, rank) => ({
+      rank: rank + 1,
+      variation: v.index,
+      file: v.output,
+      render: v.render,
+      score: +v.score.toFixed(3),
+      distance_db: +v.distance.toFixed(2),
+      novelty_db: +v.novelty.toFixed(2),
+      lufs: isFinite(v.stats.lufs) ? +v.stats.lufs.toFixed(1) : null,
+      plugin: { id: v.step.id, name: v.step.name, path: v.step.path },
+      params: v.step.params,
+      seed: v.step.seed ?? null,
+    })),
+  };
+  summary.file = path.resolve(`${stem}${SUMMARY_SUFFIX}`);
+  fs.writeFileSync(summary.file, JSON.stringify(summary, null, 2));
+  return summary;
+}
+
+export const loadSummary = file => JSON.parse(fs.readFileSync(file, "utf-8"));